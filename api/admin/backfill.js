@@ -0,0 +1,77 @@
+const Stripe = require('stripe');
+const { requireAdmin } = require('../lib/admin-auth');
+const { parseRange } = require('../lib/reconcile');
+const { runBackfill } = require('../lib/backfill');
+
+// Keep a single request inside the function time limit; use scripts/backfill.js for bigger batches.
+const MAX_RANGE_DAYS = 7;
+const MAX_IDS = 50;
+
+/**
+ * Replay Stripe checkout sessions / paid invoices that have no Shopify order (requires
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`). Uses the webhook's order building; records that already have an
+ * order are skipped.
+ *   POST /api/admin/backfill { from: '2025-01-01', to: '2025-01-07', dry_run: true }  — by Stripe creation date
+ *   POST /api/admin/backfill { ids: ['evt_...', 'cs_...', 'in_...'] }                — specific records
+ * With dry_run the draft-order payloads are returned and nothing is written.
+ */
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+  } catch {
+    res.status(400).json({ error: 'Invalid JSON body' });
+    return;
+  }
+
+  const ids = Array.isArray(body.ids)
+    ? body.ids.map((id) => String(id).trim()).filter(Boolean)
+    : String(body.ids || '').split(',').map((id) => id.trim()).filter(Boolean);
+  if (ids.length > MAX_IDS) {
+    res.status(400).json({ error: `At most ${MAX_IDS} IDs per request.` });
+    return;
+  }
+  let range = {};
+  if (body.from) {
+    range = parseRange(body.from, body.to, { maxDays: MAX_RANGE_DAYS });
+    if (range.error) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+  }
+  if (!range.from && ids.length === 0) {
+    res.status(400).json({ error: 'Provide "from" (and optionally "to") or "ids".' });
+    return;
+  }
+
+  try {
+    const report = await runBackfill(new Stripe(stripeSecretKey), {
+      from: range.from,
+      to: range.to,
+      ids,
+      dryRun: body.dry_run === true || body.dry_run === 'true',
+    });
+    res.status(200).json(report);
+  } catch (err) {
+    console.error('Admin backfill error:', err.message);
+    res.status(500).json({ error: 'Backfill failed' });
+  }
+};
@@ -0,0 +1,76 @@
+const outbox = require('../lib/outbox');
+const { requireAdmin } = require('../lib/admin-auth');
+
+const STATUSES = ['pending', 'done', 'dead'];
+
+/**
+ * Admin view of the outbox (requires `Authorization: Bearer <ADMIN_API_TOKEN>`).
+ *   GET  /api/admin/outbox?status=dead         — list entries (status optional)
+ *   GET  /api/admin/outbox?action=process      — run due retries (used by Vercel Cron)
+ *   POST /api/admin/outbox { action: 'retry' | 'discard', id } — retry or discard one entry
+ *   POST /api/admin/outbox { action: 'process' }               — run due retries
+ */
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  let body = {};
+  if (req.method === 'POST') {
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    } catch {
+      res.status(400).json({ error: 'Invalid JSON body' });
+      return;
+    }
+  }
+
+  const action = req.method === 'POST' ? body.action : req.query.action;
+
+  try {
+    if (!action) {
+      const status = req.query.status;
+      if (status && !STATUSES.includes(status)) {
+        res.status(400).json({ error: 'Invalid status. Use "pending", "done" or "dead".' });
+        return;
+      }
+      const entries = await outbox.list({ status });
+      res.status(200).json({ count: entries.length, entries });
+      return;
+    }
+
+    if (action === 'process') {
+      const summary = await outbox.processDue();
+      res.status(200).json(summary);
+      return;
+    }
+
+    if (req.method !== 'POST' || (action !== 'retry' && action !== 'discard')) {
+      res.status(400).json({ error: 'Invalid action. Use "retry", "discard" or "process".' });
+      return;
+    }
+
+    const id = body.id;
+    if (!id || typeof id !== 'string') {
+      res.status(400).json({ error: 'Missing id' });
+      return;
+    }
+    const result = action === 'retry' ? await outbox.retry(id) : await outbox.discard(id);
+    if (result.error === 'Not found') {
+      res.status(404).json({ error: 'Outbox entry not found' });
+      return;
+    }
+    res.status(200).json({ ok: result.ok, entry: result.entry });
+  } catch (err) {
+    console.error('Admin outbox error:', err.message);
+    res.status(500).json({ error: 'Outbox request failed' });
+  }
+};
@@ -0,0 +1,60 @@
+const Stripe = require('stripe');
+const { requireAdmin } = require('../lib/admin-auth');
+const { parseRange, runReconciliation, toCsv } = require('../lib/reconcile');
+
+// Keep a single request inside the function time limit; use scripts/reconcile.js for longer ranges.
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Drift report across Stripe, Shopify and Loop (requires `Authorization: Bearer <ADMIN_API_TOKEN>`).
+ *   GET /api/admin/reconcile?from=2025-01-01&to=2025-01-31             — JSON report
+ *   GET /api/admin/reconcile?from=2025-01-01&to=2025-01-31&format=csv  — issues as CSV
+ * Defaults to the last 7 days. Read-only: nothing is changed in any system.
+ */
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  const range = parseRange(req.query.from, req.query.to, { maxDays: MAX_RANGE_DAYS });
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    res.status(400).json({ error: 'Invalid format. Use "json" or "csv".' });
+    return;
+  }
+
+  let report;
+  try {
+    report = await runReconciliation(new Stripe(stripeSecretKey), range);
+  } catch (err) {
+    console.error('Admin reconcile error:', err.message);
+    res.status(500).json({ error: 'Reconciliation failed' });
+    return;
+  }
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="reconcile-${report.from.slice(0, 10)}-${report.to.slice(0, 10)}.csv"`);
+    res.status(200).send(toCsv(report));
+    return;
+  }
+  res.status(200).json(report);
+};
@@ -0,0 +1,107 @@
+const Stripe = require('stripe');
+const { cors } = require('./lib/origins');
+
+const NAME_MAX = 100;
+const DETAIL_FIELDS = ['first_name', 'last_name', 'phone', 'marketing_consent'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Phone as digits with an optional leading +, or null if it doesn't look like a phone number. */
+function normalizePhone(value) {
+  const phone = String(value).trim().replace(/[\s().-]/g, '');
+  return /^\+?\d{6,15}$/.test(phone) ? phone : null;
+}
+
+function cleanName(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, NAME_MAX) : '';
+}
+
+/**
+ * Save the optional buyer details from the payment step (name, phone, email marketing consent) on the checkout
+ * session before it is confirmed. The webhook copies them to the Shopify customer (see lib/orders.js).
+ *   POST { client_secret, first_name?, last_name?, phone?, marketing_consent? }
+ *   POST { client_secret, email } — the page saves the email as soon as it's entered, so an abandoned session
+ *     can still be followed up (see lib/abandoned.js)
+ * Only the group that is sent is written. The client secret proves the caller holds the session; only open
+ * sessions can be updated.
+ */
+module.exports = async (req, res) => {
+  if (!cors(req, res, 'POST, OPTIONS')) return;
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+  } catch {
+    res.status(400).json({ error: 'Invalid JSON body' });
+    return;
+  }
+
+  const clientSecret = typeof body.client_secret === 'string' ? body.client_secret.trim() : '';
+  const sessionId = clientSecret.split('_secret_')[0];
+  if (!/^cs_\w+$/.test(sessionId)) {
+    res.status(400).json({ error: 'Invalid session' });
+    return;
+  }
+
+  const metadata = {};
+  if (DETAIL_FIELDS.some((field) => body[field] !== undefined)) {
+    Object.assign(metadata, {
+      customer_first_name: cleanName(body.first_name),
+      customer_last_name: cleanName(body.last_name),
+      customer_phone: '',
+      marketing_consent: body.marketing_consent === true ? 'true' : 'false',
+      // When the box was ticked, for Shopify's consent record.
+      marketing_consent_at: body.marketing_consent === true ? new Date().toISOString() : '',
+    });
+    if (body.phone != null && String(body.phone).trim() !== '') {
+      const phone = normalizePhone(body.phone);
+      if (!phone) {
+        res.status(400).json({ error: 'Please enter a valid phone number.', field: 'phone' });
+        return;
+      }
+      metadata.customer_phone = phone;
+    }
+  }
+  if (body.email !== undefined) {
+    const email = typeof body.email === 'string' ? body.email.trim() : '';
+    if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+      res.status(400).json({ error: 'Please enter a valid email address.', field: 'email' });
+      return;
+    }
+    metadata.checkout_email = email;
+  }
+  if (Object.keys(metadata).length === 0) {
+    res.status(400).json({ error: 'Nothing to save' });
+    return;
+  }
+
+  const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+  try {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (session.client_secret !== clientSecret || session.status !== 'open') {
+      res.status(400).json({ error: 'Invalid session' });
+      return;
+    }
+    // Empty strings remove a value saved by an earlier attempt.
+    await stripe.checkout.sessions.update(sessionId, { metadata });
+  } catch (err) {
+    if (err.statusCode === 404 || err.code === 'resource_missing') {
+      res.status(400).json({ error: 'Invalid session' });
+      return;
+    }
+    console.error('Checkout details error:', err.message);
+    res.status(500).json({ error: 'Could not save your details. Please try again.' });
+    return;
+  }
+  res.status(200).json({ ok: true });
+};
@@ -1,10 +1,19 @@
 const Stripe = require('stripe');
+const plans = require('./lib/plans');
+const { getActiveCoupon, applyCoupon } = require('./lib/pricing');
+const promotions = require('./lib/promotions');
+const { resolveTrial } = require('./lib/trials');
+const analytics = require('./lib/analytics');
+const tax = require('./lib/tax');
+const { cors } = require('./lib/origins');
+const { getClientIp } = require('./lib/rate-limit');
+const { checkCheckoutRequest, recordOpenSession } = require('./lib/checkout-guard');
+const gifts = require('./lib/gifts');
+const addons = require('./lib/addons');
 
 module.exports = async (req, res) => {
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+  const origin = cors(req, res, 'POST, OPTIONS');
+  if (!origin) return;
 
   if (req.method !== 'POST') {
     res.status(405).json({ error: 'Method not allowed' });
@@ -12,10 +21,8 @@ module.exports = async (req, res) => {
   }
 
   const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
-  const priceYearly = process.env.STRIPE_PRICE_YEARLY;
-  const priceMonthly = process.env.STRIPE_PRICE_MONTHLY;
 
-  if (!stripeSecretKey || !priceYearly || !priceMonthly) {
+  if (!stripeSecretKey) {
     res.status(500).json({ error: 'Server missing Stripe configuration' });
     return;
   }
@@ -28,33 +35,71 @@ module.exports = async (req, res) => {
     return;
   }
 
+  const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+
+  // Rate limits, CAPTCHA and the open-sessions cap (see lib/checkout-guard.js).
+  const guard = await checkCheckoutRequest(req, body, stripe);
+  if (guard.rejection) {
+    const { status, code, error, retryAfter } = guard.rejection;
+    if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+    res.status(status).json({ error, code });
+    return;
+  }
+
   const plan = body.plan;
-  if (plan !== 'yearly' && plan !== 'monthly') {
-    res.status(400).json({ error: 'Invalid plan. Use "yearly" or "monthly".' });
+  const planConfig = plans.getPlan(plan);
+  if (!planConfig) {
+    const keys = plans.listPlans().map((p) => `"${p.key}"`).join(' or ');
+    res.status(400).json({ error: `Invalid plan. Use ${keys}.` });
+    return;
+  }
+  if (!planConfig.stripePriceId) {
+    console.error('Checkout: no Stripe price ID configured for plan', plan);
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  // Gift purchase for someone else (see lib/gifts.js): a one-time payment for one period of a giftable plan.
+  const isGift = body.gift === true;
+  let gift = null;
+  if (isGift) {
+    if (!planConfig.giftable) {
+      res.status(400).json({ error: 'This plan cannot be bought as a gift.', field: 'plan' });
+      return;
+    }
+    gift = gifts.parseGiftRequest(body);
+    if (gift.error) {
+      res.status(400).json({ error: gift.error, field: gift.field });
+      return;
+    }
+  }
+
+  // One-time add-ons (see lib/addons.js), charged today on top of the plan. Not offered with gifts.
+  const addonRequest = addons.parseAddonRequest(body.addons, plan);
+  if (addonRequest.error || (isGift && addonRequest.addons.length > 0)) {
+    res.status(400).json({ error: addonRequest.error || 'Add-ons cannot be bought with a gift.', field: 'addons' });
     return;
   }
+  const selectedAddons = addonRequest.addons;
 
   const METADATA_VALUE_MAX = 500;
   const metadata = { plan };
+  if (selectedAddons.length) metadata.addons = selectedAddons.map((a) => a.key).join(',');
+  if (gift) {
+    metadata.gift = 'true';
+    metadata.gift_recipient_email = gift.recipientEmail;
+    if (gift.message) metadata.gift_message = gift.message;
+    if (gift.deliverOn) metadata.gift_deliver_on = gift.deliverOn;
+  }
   if (body.product_id != null && String(body.product_id).trim() !== '') {
     metadata.product_id = String(body.product_id).trim().slice(0, METADATA_VALUE_MAX);
-  } else {
-    const productIdYearly = process.env.SHOPIFY_PRODUCT_ID_YEARLY;
-    const productIdMonthly = process.env.SHOPIFY_PRODUCT_ID_MONTHLY;
-    const fallbackProductId = plan === 'yearly' ? productIdYearly : productIdMonthly;
-    if (fallbackProductId && String(fallbackProductId).trim() !== '') {
-      metadata.product_id = String(fallbackProductId).trim().slice(0, METADATA_VALUE_MAX);
-    }
+  } else if (planConfig.shopifyProductId) {
+    metadata.product_id = String(planConfig.shopifyProductId).slice(0, METADATA_VALUE_MAX);
   }
   if (body.variant_id != null && String(body.variant_id).trim() !== '') {
     metadata.variant_id = String(body.variant_id).trim().slice(0, METADATA_VALUE_MAX);
-  } else {
-    const variantYearly = process.env.SHOPIFY_VARIANT_YEARLY;
-    const variantMonthly = process.env.SHOPIFY_VARIANT_MONTHLY;
-    const fallbackVariant = plan === 'yearly' ? variantYearly : variantMonthly;
-    if (fallbackVariant && String(fallbackVariant).trim() !== '') {
-      metadata.variant_id = String(fallbackVariant).trim().slice(0, METADATA_VALUE_MAX);
-    }
+  } else if (planConfig.shopifyVariantId) {
+    metadata.variant_id = String(planConfig.shopifyVariantId).slice(0, METADATA_VALUE_MAX);
   }
   const utmKeys = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
   for (const key of utmKeys) {
@@ -64,52 +109,183 @@ module.exports = async (req, res) => {
     }
   }
 
-  const priceId = plan === 'yearly' ? priceYearly : priceMonthly;
-  const planName = plan === 'yearly' ? 'Yearly' : 'Monthly';
+  if (typeof body.landing === 'string' && body.landing.trim()) {
+    metadata.landing = body.landing.trim().slice(0, METADATA_VALUE_MAX);
+  }
+  // Email typed before this session was created (e.g. when a promo code is applied), for abandoned-checkout
+  // recovery (see lib/abandoned.js); /api/checkout-details saves it later otherwise.
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  if (email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) metadata.checkout_email = email;
 
-  const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+  // Browser IDs for the webhook's server-side purchase events (see lib/analytics.js).
+  const TRACKING_ID_PATTERNS = { ga_client_id: /^\d+\.\d+$/, fbp: /^fb\.\d\.\d+\.\d+$/, fbc: /^fb\.\d\.\d+\.[\w-]+$/ };
+  for (const [key, pattern] of Object.entries(TRACKING_ID_PATTERNS)) {
+    const val = typeof body[key] === 'string' ? body[key].trim() : '';
+    if (val && val.length <= METADATA_VALUE_MAX && pattern.test(val)) metadata[key] = val;
+  }
+  if (analytics.isMetaEnabled()) {
+    // Meta matches website events on the buyer's IP and user agent.
+    const clientIp = getClientIp(req);
+    if (clientIp) metadata.client_ip = clientIp.slice(0, METADATA_VALUE_MAX);
+    if (req.headers['user-agent']) metadata.client_user_agent = String(req.headers['user-agent']).slice(0, METADATA_VALUE_MAX);
+    if (req.headers.referer) metadata.source_url = String(req.headers.referer).slice(0, METADATA_VALUE_MAX);
+  }
+
+  let promoCode = null;
+  if (body.promo_code != null && body.promo_code !== '') {
+    promoCode = promotions.normalizeCode(body.promo_code);
+    if (!promoCode) {
+      res.status(400).json({ error: 'This promo code is not valid.', field: 'promo_code' });
+      return;
+    }
+  }
+
+  const priceId = planConfig.stripePriceId;
+  const planName = planConfig.label || plan;
 
-  const origin = req.headers.origin || req.headers.referer || 'https://localhost:3000';
-  const baseUrl = origin.replace(/\/$/, '');
-  const returnUrl = `${baseUrl}/?session_id={CHECKOUT_SESSION_ID}&success=1`;
+  const returnUrl = `${origin}/?session_id={CHECKOUT_SESSION_ID}&success=1${isGift ? '&gift=1' : ''}`;
 
   try {
-    const price = await stripe.prices.retrieve(priceId);
+    const [price, coupon, addonPrices] = await Promise.all([
+      stripe.prices.retrieve(priceId),
+      getActiveCoupon(stripe, planConfig.stripeCouponId),
+      Promise.all(selectedAddons.map((addon) => stripe.prices.retrieve(addon.stripePriceId))),
+    ]);
     const unitAmount = price.unit_amount;
     const currency = (price.currency || 'aud').toLowerCase();
-    const interval = price.recurring && price.recurring.interval ? price.recurring.interval : (plan === 'yearly' ? 'year' : 'month');
+    // One-time prices (e.g. a lifetime plan) use a payment-mode session with no subscription or trial.
+    let recurring = price.recurring
+      ? { interval: price.recurring.interval, interval_count: price.recurring.interval_count || 1 }
+      : null;
+    if (isGift) {
+      // A gift is one period of the plan, paid once; the recipient's subscription starts when they redeem it.
+      if (!recurring) {
+        res.status(400).json({ error: 'This plan cannot be bought as a gift.', field: 'plan' });
+        return;
+      }
+      metadata.gift_period = `${recurring.interval_count} ${recurring.interval}`;
+      recurring = null;
+    }
+    const trial = recurring
+      ? resolveTrial(planConfig, { landing: metadata.landing, utm_campaign: metadata.utm_campaign })
+      : { trialDays: 0, source: 'none' };
+    const trialDays = trial.trialDays;
+    // Stamped so the webhook and later renewals know which trial applied (0 = no trial).
+    metadata.trial_days = String(trialDays);
+    metadata.trial_source = trial.source;
 
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
+    // A promo code replaces the plan's own coupon (a session takes a single discount).
+    let discount = coupon ? { coupon: coupon.id } : null;
+    let appliedCoupon = coupon;
+    if (promoCode) {
+      const promo = await promotions.validatePromotionCode(stripe, promoCode, { amount: unitAmount, currency });
+      if (!promo.ok) {
+        res.status(400).json({ error: promo.error, field: 'promo_code' });
+        return;
+      }
+      discount = { promotion_code: promo.promotionCode.id };
+      appliedCoupon = promo.coupon;
+      metadata.promo_code = promo.promotionCode.code.slice(0, METADATA_VALUE_MAX);
+    }
+    // Stripe Tax (opt-in): inline prices need a tax behavior, and the tax needs the buyer's billing address.
+    const taxBehavior = tax.isAutomaticTaxEnabled() ? tax.taxBehaviorFor(price) : null;
+    const afterTrialAmount = applyCoupon(unitAmount, currency, appliedCoupon);
+    for (const [i, addonPrice] of addonPrices.entries()) {
+      if ((addonPrice.currency || '').toLowerCase() !== currency || addonPrice.recurring) {
+        throw new Error(`Add-on ${selectedAddons[i].key} needs a one-time price in ${currency}`);
+      }
+    }
+    const addonsAmount = addonPrices.reduce((sum, p) => sum + (p.unit_amount || 0), 0);
+    // The session's discount applies to the whole first invoice, add-ons included.
+    const todayAmount =
+      recurring && trialDays > 0
+        ? applyCoupon(addonsAmount, currency, appliedCoupon)
+        : applyCoupon(unitAmount + addonsAmount, currency, appliedCoupon);
+
+    const sessionParams = {
+      mode: recurring ? 'subscription' : 'payment',
       ui_mode: 'custom',
       payment_method_types: ['card'],
       line_items: [
         {
-          price_data: {
-            currency,
-            product_data: {
-              name: planName,
-              images: [],
+          price_data: Object.assign(
+            {
+              currency,
+              product_data: {
+                name: isGift ? `${planName} (gift)` : planName,
+                images: [],
+              },
+              unit_amount: unitAmount,
             },
-            unit_amount: unitAmount,
-            recurring: { interval },
-          },
+            recurring ? { recurring } : {},
+            taxBehavior ? { tax_behavior: taxBehavior } : {}
+          ),
           quantity: 1,
         },
+        // One-time lines: in a subscription session they're charged on the first invoice, trial or not.
+        ...selectedAddons.map((addon, i) => ({
+          price_data: Object.assign(
+            {
+              currency,
+              product_data: { name: addon.label, metadata: { addon: addon.key } },
+              unit_amount: addonPrices[i].unit_amount,
+            },
+            // Same behavior as the plan line, so the session's tax is all inclusive or all exclusive.
+            taxBehavior ? { tax_behavior: taxBehavior } : {}
+          ),
+          quantity: 1,
+        })),
       ],
-      subscription_data: {
-        trial_period_days: 7,
+      return_url: returnUrl,
+      metadata,
+    };
+    // Plan coupon is the same one the pricing cards show (see /api/prices).
+    if (discount) sessionParams.discounts = [discount];
+    if (taxBehavior) {
+      sessionParams.automatic_tax = { enabled: true };
+      sessionParams.billing_address_collection = 'required';
+    }
+    if (recurring) {
+      sessionParams.subscription_data = {
         metadata: Object.assign(
           { plan },
           metadata.product_id != null ? { product_id: metadata.product_id } : {},
-          metadata.variant_id != null ? { variant_id: metadata.variant_id } : {}
+          metadata.variant_id != null ? { variant_id: metadata.variant_id } : {},
+          metadata.promo_code != null ? { promo_code: metadata.promo_code } : {},
+          { trial_days: metadata.trial_days, trial_source: metadata.trial_source },
+          // Renewal purchase events reuse the checkout's attribution.
+          Object.fromEntries(
+            [...utmKeys, 'ga_client_id', 'fbp', 'fbc'].filter((k) => metadata[k] != null).map((k) => [k, metadata[k]])
+          )
         ),
-      },
+      };
+      if (trialDays > 0) sessionParams.subscription_data.trial_period_days = trialDays;
+    } else {
+      sessionParams.customer_creation = 'always';
+    }
+
+    const session = await stripe.checkout.sessions.create(sessionParams);
+    await recordOpenSession(req, body, session);
+
+    res.status(200).json({
+      client_secret: session.client_secret,
       return_url: returnUrl,
-      metadata,
+      amounts: {
+        currency,
+        today: todayAmount,
+        after_trial: recurring && trialDays > 0 ? afterTrialAmount : null,
+        discount: unitAmount - afterTrialAmount,
+        addons: addonsAmount,
+        interval: recurring ? recurring.interval : null,
+        interval_count: recurring ? recurring.interval_count : null,
+        // Exclusive tax is added once the buyer's address is known, so it isn't in these amounts.
+        tax: taxBehavior,
+      },
+      trial_days: trialDays,
+      promo_code: metadata.promo_code || null,
+      addons: selectedAddons.map((a) => a.key),
+      captcha_pass: guard.captchaPass,
     });
-
-    res.status(200).json({ client_secret: session.client_secret, return_url: returnUrl });
   } catch (err) {
     console.error('Stripe session create error:', err.message);
     res.status(500).json({ error: err.message || 'Failed to create checkout session' });
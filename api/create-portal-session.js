@@ -1,11 +1,14 @@
 const Stripe = require('stripe');
-
+const { ownOrigin } = require('./lib/origins');
+const portalLinks = require('./lib/portal-links');
+
+/**
+ * Opens the Stripe Billing Portal for a signed link from /api/portal-link: GET ?token=...
+ * The link is opened from an email, a top-level navigation authenticated by the token, so the Origin/Referer
+ * allowlist doesn't apply (webmail sends its own Referer). The return URL uses the origin signed into the token,
+ * which /api/portal-link took from the allowlist, or this deployment's own origin.
+ */
 module.exports = async (req, res) => {
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
-
   if (req.method !== 'GET') {
     res.status(405).json({ error: 'Method not allowed' });
     return;
@@ -18,36 +21,17 @@ module.exports = async (req, res) => {
     return;
   }
 
-  const sessionId = req.query.session_id;
-  if (!sessionId || typeof sessionId !== 'string' || !sessionId.trim()) {
-    res.status(400).json({ error: 'Missing session_id' });
+  // Invalid or expired links (and old ?session_id= links) go back to the page to request a new one by email.
+  const claims = typeof req.query.token === 'string' ? portalLinks.verifyPortalToken(req.query.token) : null;
+  const origin = ownOrigin(req);
+  if (!claims) {
+    res.redirect(302, `${origin}/?portal=expired`);
     return;
   }
 
   const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
-
-  let session;
-  try {
-    session = await stripe.checkout.sessions.retrieve(sessionId.trim());
-  } catch (err) {
-    console.error('create-portal-session: retrieve session failed', err.message);
-    res.status(400).json({ error: 'Invalid session' });
-    return;
-  }
-
-  if (session.mode !== 'subscription') {
-    res.status(400).json({ error: 'Session is not a subscription' });
-    return;
-  }
-
-  const customerId = session.customer;
-  if (!customerId) {
-    res.status(400).json({ error: 'No customer for this session' });
-    return;
-  }
-
-  const origin = req.headers.origin || req.headers.referer || 'https://localhost:3000';
-  const returnUrl = origin.replace(/\/$/, '') + '/?portal=1';
+  const customerId = claims.customerId;
+  const returnUrl = `${claims.origin || origin}/?portal=1`;
 
   let portalSession;
   try {
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const entitlements = require('./lib/entitlements');
+const { signJwt } = require('./lib/jwt');
+
+const DEFAULT_JWT_TTL_SECONDS = 300;
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getApiKey(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : String(req.headers['x-api-key'] || '').trim();
+}
+
+function jwtKey() {
+  // PEM keys are often stored with escaped newlines in env vars.
+  const pem = process.env.ENTITLEMENT_JWT_PRIVATE_KEY;
+  return pem ? pem.replace(/\\n/g, '\n') : process.env.ENTITLEMENT_JWT_SECRET || null;
+}
+
+function jwtTtlSeconds() {
+  const n = Number(process.env.ENTITLEMENT_JWT_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_JWT_TTL_SECONDS;
+}
+
+/**
+ * Membership lookup for the member app and Shopify theme (requires an API key from ENTITLEMENT_API_KEYS, sent as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`).
+ *   GET /api/entitlement?email=member@example.com
+ *   GET /api/entitlement?customer_id=cus_123
+ *   GET /api/entitlement?email=...&format=jwt  — { token, expires_at }: the same fields as signed JWT claims
+ * Returns { member, plan, status, lifetime, trial_end, current_period_end, cancel_at_period_end, ... }.
+ */
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const apiKeys = entitlements.getApiKeys();
+  if (apiKeys.length === 0) {
+    console.error('Entitlement: ENTITLEMENT_API_KEYS not set');
+    res.status(500).json({ error: 'Entitlement API not configured' });
+    return;
+  }
+  const apiKey = getApiKey(req);
+  if (!apiKey || !apiKeys.some((key) => safeEqual(apiKey, key))) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  const email = typeof req.query.email === 'string' ? req.query.email.trim() : '';
+  const customerId = typeof req.query.customer_id === 'string' ? req.query.customer_id.trim() : '';
+  if (!email && !customerId) {
+    res.status(400).json({ error: 'Provide email or customer_id.' });
+    return;
+  }
+  if (customerId && !/^cus_\w+$/.test(customerId)) {
+    res.status(400).json({ error: 'Invalid customer_id.' });
+    return;
+  }
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'jwt') {
+    res.status(400).json({ error: 'Invalid format. Use "json" or "jwt".' });
+    return;
+  }
+  const key = format === 'jwt' ? jwtKey() : null;
+  if (format === 'jwt' && !key) {
+    res.status(400).json({ error: 'JWT output is not configured.' });
+    return;
+  }
+
+  let entitlement;
+  try {
+    entitlement = await entitlements.getEntitlement(new Stripe(stripeSecretKey), { email, customerId });
+  } catch (err) {
+    console.error('Entitlement error:', err.message);
+    res.status(500).json({ error: 'Entitlement lookup failed' });
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (format === 'jwt') {
+    const { cached, ...claims } = entitlement;
+    const ttlSeconds = jwtTtlSeconds();
+    const token = signJwt(
+      Object.assign({ iss: process.env.ENTITLEMENT_JWT_ISSUER || 'stripe-checkout-app', sub: claims.customer_id || email }, claims),
+      key,
+      { ttlSeconds, keyId: process.env.ENTITLEMENT_JWT_KEY_ID || undefined }
+    );
+    res.status(200).json({ token, expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString() });
+    return;
+  }
+  res.status(200).json(entitlement);
+};
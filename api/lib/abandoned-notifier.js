@@ -0,0 +1,106 @@
+/**
+ * Pluggable notifier for abandoned checkouts (see abandoned.js).
+ *
+ * Chosen with ABANDONED_CHECKOUT_NOTIFIER:
+ *   - "webhook" — POST to the lifecycle notification URL (notify.js) as event `checkout.abandoned`. The default
+ *     when LIFECYCLE_NOTIFY_URL is set, so Slack, Zapier or a CRM can follow up.
+ *   - "email"   — email the visitor their recovery link (mailer.js). Abandoned-cart emails are marketing in many
+ *     places; only turn this on if your consent basis covers it.
+ *   - "none"    — record abandoned checkouts without notifying anyone (the default otherwise).
+ * setNotifier() installs a custom notifier (an email platform's abandoned-cart flow, or a stub in tests).
+ *
+ * Every notifier exposes notify(record) → Promise<object> and throws on failure so the outbox retries it.
+ * record: { sessionId, email, plan, planLabel, promoCode, landing, utm, amountTotal, currency, recoveryUrl,
+ *   createdAt, expiredAt }
+ */
+
+const notify = require('./notify');
+const { sendMail } = require('./mailer');
+
+let customNotifier = null;
+
+function describe(record) {
+  const plan = record.planLabel || record.plan || 'a plan';
+  return `Checkout abandoned by ${record.email} (${plan}).${record.recoveryUrl ? ` Recovery link: ${record.recoveryUrl}` : ''}`;
+}
+
+const webhookNotifier = {
+  name: 'webhook',
+  notify(record) {
+    return notify.sendNotification({
+      event: 'checkout.abandoned',
+      text: describe(record),
+      session_id: record.sessionId,
+      customer_email: record.email,
+      plan: record.plan,
+      promo_code: record.promoCode,
+      landing: record.landing,
+      utm: record.utm,
+      amount_total: record.amountTotal,
+      currency: record.currency,
+      recovery_url: record.recoveryUrl,
+      created_at: record.createdAt,
+      occurred_at: record.expiredAt,
+    });
+  },
+};
+
+const emailNotifier = {
+  name: 'email',
+  async notify(record) {
+    if (!record.recoveryUrl) return { skipped: true };
+    const plan = record.planLabel ? `your ${record.planLabel} membership` : 'your membership';
+    return sendMail({
+      to: record.email,
+      subject: 'Finish signing up',
+      text: [
+        `You started signing up for ${plan} but didn't finish. Pick up where you left off:`,
+        '',
+        record.recoveryUrl,
+        '',
+        "If you've already joined, you can ignore this email.",
+      ].join('\n'),
+    });
+  },
+};
+
+const noneNotifier = {
+  name: 'none',
+  async notify() {
+    return { skipped: true };
+  },
+};
+
+const NOTIFIERS = { webhook: webhookNotifier, email: emailNotifier, none: noneNotifier };
+
+function getNotifier() {
+  if (customNotifier) return customNotifier;
+  const configured = String(process.env.ABANDONED_CHECKOUT_NOTIFIER || '').trim().toLowerCase();
+  const name = configured || (notify.isEnabled() ? 'webhook' : 'none');
+  const notifier = NOTIFIERS[name];
+  if (!notifier) {
+    throw new Error(`Abandoned: unknown ABANDONED_CHECKOUT_NOTIFIER "${name}" (use webhook, email or none)`);
+  }
+  return notifier;
+}
+
+/** Replace the notifier (null restores the ABANDONED_CHECKOUT_NOTIFIER one). */
+function setNotifier(notifier) {
+  customNotifier = notifier;
+}
+
+/** False when the configured notifier is "none", so nothing is queued for it. */
+function isEnabled() {
+  return getNotifier().name !== 'none';
+}
+
+/**
+ * Notify about one abandoned checkout with the configured notifier.
+ * @param {object} record - See the top of this file
+ * @returns {Promise<object>}
+ */
+function sendAbandonedNotification(record) {
+  return getNotifier().notify(record);
+}
+
+module.exports = { getNotifier, setNotifier, isEnabled, sendAbandonedNotification };
@@ -0,0 +1,210 @@
+/**
+ * Abandoned checkouts: a checkout session that expired (checkout.session.expired) with a known email, either the
+ * one Stripe collected or the one the page saved when the visitor left the email field (checkout_email metadata,
+ * see /api/checkout-details).
+ *
+ * Each is recorded in the 'abandoned-checkouts' store under `session:<id>` with its plan, promo code and UTM data,
+ * and queued in the outbox:
+ *   - Shopify, per ABANDONED_CHECKOUT_SHOPIFY: "tag" (default) creates or updates the Shopify customer and tags it
+ *     SHOPIFY_ABANDONED_TAG; "draft_order" leaves an open draft order for the plan with the same tag; "off".
+ *   - the notifier (abandoned-notifier.js), with a recovery URL that reopens the page with the plan preselected.
+ * Not recorded: sessions whose email has completed a checkout since. Recorded but not queued: another abandoned
+ * session for the same email within ABANDONED_CHECKOUT_DEDUPE_HOURS (default 24), e.g. the sessions left behind
+ * when a promo code is applied. A later purchase by the email marks the record recovered and removes the tag.
+ */
+
+const { getStore } = require('./store');
+const outbox = require('./outbox');
+const plans = require('./plans');
+const orders = require('./orders');
+const notifier = require('./abandoned-notifier');
+const { getShopifyConfig } = require('./shopify');
+
+const RECORD_TTL_SECONDS = 90 * 24 * 60 * 60;
+const DEFAULT_DEDUPE_HOURS = 24;
+const SHOPIFY_MODES = ['tag', 'draft_order', 'off'];
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+
+function store() {
+  return getStore('abandoned-checkouts');
+}
+
+function shopifyMode() {
+  const mode = String(process.env.ABANDONED_CHECKOUT_SHOPIFY || 'tag').trim().toLowerCase();
+  if (SHOPIFY_MODES.includes(mode)) return mode;
+  console.warn('Abandoned: unknown ABANDONED_CHECKOUT_SHOPIFY', mode, '- using "tag"');
+  return 'tag';
+}
+
+function abandonedTag() {
+  return process.env.SHOPIFY_ABANDONED_TAG || 'abandoned-checkout';
+}
+
+function dedupeSeconds() {
+  const n = Number(process.env.ABANDONED_CHECKOUT_DEDUPE_HOURS);
+  return (Number.isFinite(n) && n >= 0 ? n : DEFAULT_DEDUPE_HOURS) * 60 * 60;
+}
+
+/** The session's email as the buyer typed it: Stripe's email filters match it exactly. */
+function sessionEmail(session) {
+  const email = session.customer_details?.email || session.customer_email || session.metadata?.checkout_email || '';
+  return email.trim() || null;
+}
+
+// Store key for an email's latest abandoned checkout; lowercased so differently cased checkouts share it.
+function emailKey(email) {
+  return `email:${email.toLowerCase()}`;
+}
+
+/**
+ * Link back to the checkout page with the session's plan, promo code and campaign parameters (and gift mode), so
+ * the visitor gets the same plan, trial and price. The page is the origin of the session's return URL.
+ * @returns {string|null}
+ */
+function recoveryUrl(session) {
+  let origin;
+  try {
+    origin = new URL(session.return_url).origin;
+  } catch {
+    return null;
+  }
+  const meta = session.metadata || {};
+  const params = new URLSearchParams();
+  if (meta.plan) params.set('plan', meta.plan);
+  if (meta.promo_code) params.set('promo', meta.promo_code);
+  if (meta.landing) params.set('landing', meta.landing);
+  if (meta.gift === 'true') params.set('gift', '1');
+  for (const key of UTM_KEYS) {
+    if (meta[key]) params.set(key, meta[key]);
+  }
+  const query = params.toString();
+  return `${origin}/${query ? `?${query}` : ''}`;
+}
+
+function buildRecord(session, email) {
+  const meta = session.metadata || {};
+  const utm = {};
+  for (const key of UTM_KEYS) {
+    if (meta[key]) utm[key] = meta[key];
+  }
+  return {
+    sessionId: session.id,
+    email,
+    plan: meta.plan || null,
+    planLabel: plans.getPlan(meta.plan)?.label || null,
+    promoCode: meta.promo_code || null,
+    landing: meta.landing || null,
+    utm,
+    amountTotal: session.amount_total ?? null,
+    currency: session.currency || null,
+    recoveryUrl: recoveryUrl(session),
+    createdAt: new Date(session.created * 1000).toISOString(),
+    expiredAt: new Date().toISOString(),
+  };
+}
+
+/** Open draft order for the abandoned plan (ABANDONED_CHECKOUT_SHOPIFY=draft_order), in the REST shape. */
+function buildDraftOrder(session, record) {
+  const trialDays = Number(session.metadata?.trial_days) || 0;
+  const noteAttributes = [
+    { name: 'stripe_session_id', value: record.sessionId },
+    { name: 'plan', value: record.plan || '' },
+  ];
+  if (record.promoCode) noteAttributes.push({ name: 'promo_code', value: record.promoCode });
+  if (record.recoveryUrl) noteAttributes.push({ name: 'recovery_url', value: record.recoveryUrl });
+  for (const [key, value] of Object.entries(record.utm)) noteAttributes.push({ name: key, value });
+  const amount = ((record.amountTotal || 0) / 100).toFixed(2);
+  return {
+    line_items: orders.buildLineItems(record.plan, amount, session.metadata?.variant_id, trialDays > 0),
+    email: record.email,
+    note: `Abandoned checkout (Stripe session ${record.sessionId}). Plan: ${record.plan || 'unknown'}.`,
+    note_attributes: noteAttributes,
+    tags: [abandonedTag()],
+  };
+}
+
+/**
+ * Record an expired checkout session and queue its Shopify update and notification. Safe to call again for the
+ * same session (Stripe redelivery): it's recorded and queued once. Throws if the store or outbox can't be written
+ * (the webhook returns 500 and Stripe redelivers).
+ * @param {import('stripe').Stripe} stripe
+ * @param {object} session - The expired checkout session from the event
+ * @returns {Promise<{ recorded: boolean, queued?: boolean, reason?: string }>}
+ */
+async function recordExpired(stripe, session) {
+  const email = sessionEmail(session);
+  if (!email) return { recorded: false, reason: 'no_email' };
+  const key = `session:${session.id}`;
+  if (await store().get(key)) return { recorded: false, reason: 'duplicate' };
+
+  // The visitor may have bought in another session (a promo code or a second tab creates a new one).
+  const completed = await stripe.checkout.sessions.list({
+    customer_details: { email },
+    status: 'complete',
+    created: { gte: session.created },
+    limit: 1,
+  });
+  if (completed.data.length > 0) return { recorded: false, reason: 'completed' };
+
+  const record = buildRecord(session, email);
+  const latest = await store().get(emailKey(email));
+  const recent = latest && Date.now() - Date.parse(latest.at) < dedupeSeconds() * 1000;
+  record.shopify = recent || !getShopifyConfig() ? null : shopifyMode();
+  if (record.shopify === 'off') record.shopify = null;
+  record.notified = !recent && notifier.isEnabled();
+
+  if (record.shopify) {
+    await outbox.enqueue(
+      'shopify.abandoned_checkout',
+      {
+        mode: record.shopify,
+        tag: abandonedTag(),
+        customer: orders.sessionCustomer(session, email) || { email },
+        draftOrder: record.shopify === 'draft_order' ? buildDraftOrder(session, record) : null,
+        currencyCode: String(session.currency || 'aud').toUpperCase(),
+      },
+      { key: `abandoned_shopify:${session.id}` }
+    );
+  }
+  if (record.notified) {
+    await outbox.enqueue('abandoned.notify', record, { key: `abandoned_notify:${session.id}` });
+  }
+  await store().set(key, record, { ttlSeconds: RECORD_TTL_SECONDS });
+  if (recent) {
+    console.log('Abandoned: recorded', session.id, '(repeat within the dedupe window, not queued)');
+  } else {
+    await store().set(emailKey(email), { sessionId: session.id, at: record.expiredAt }, { ttlSeconds: RECORD_TTL_SECONDS });
+    console.log('Abandoned: recorded', session.id);
+  }
+  return { recorded: true, queued: !recent };
+}
+
+/**
+ * Mark the email's latest abandoned checkout as recovered by a completed session, and remove the Shopify tag.
+ * @param {object} session - The completed checkout session
+ * @returns {Promise<{ recovered: boolean, sessionId?: string }>}
+ */
+async function markRecovered(session) {
+  const email = sessionEmail(session);
+  if (!email) return { recovered: false };
+  const latest = await store().get(emailKey(email));
+  if (!latest) return { recovered: false };
+  const key = `session:${latest.sessionId}`;
+  const record = await store().get(key);
+  if (!record || record.recoveredAt) return { recovered: false };
+
+  if (record.shopify === 'tag' && getShopifyConfig()) {
+    await outbox.enqueue(
+      'shopify.customer_tags',
+      { email, remove: [abandonedTag()] },
+      { key: `abandoned_untag:${record.sessionId}` }
+    );
+  }
+  record.recoveredAt = new Date().toISOString();
+  record.recoveredBy = session.id;
+  await store().set(key, record, { ttlSeconds: RECORD_TTL_SECONDS });
+  console.log('Abandoned: recovered', record.sessionId, 'by', session.id);
+  return { recovered: true, sessionId: record.sessionId };
+}
+
+module.exports = { recordExpired, markRecovered, recoveryUrl };
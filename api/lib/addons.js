@@ -0,0 +1,95 @@
+/**
+ * Add-on catalog (config/addons.json): one-time extras offered on the payment step, e.g. a starter guide or a
+ * coaching session. Checked add-ons go on the checkout session as extra line items, charged today even during a
+ * trial, and each becomes its own line on the member's first Shopify order. Renewals never include them.
+ *
+ * Entry fields: label, description, order, stripePriceId (a one-time price in the plans' currency),
+ * shopifyVariantId (optional; the Shopify line uses the variant, otherwise a custom line named `title`), title,
+ * plans (optional list of plan keys it's offered with; default all). "${ENV_VAR}" values are read from the
+ * environment as in plans.js; an add-on without a price isn't offered.
+ *
+ * Checkout stamps the product of each add-on line with metadata `addon: <key>` and lists the keys in session
+ * metadata (`addons`), so the webhook can tell the add-on lines from the plan line.
+ */
+
+const catalog = require('../../config/addons.json');
+const { resolveEnv } = require('./plans');
+
+const MAX_ADDONS = 5;
+
+/**
+ * All add-ons, sorted by display order.
+ * @returns {Array<object>} - Each add-on has `key` plus the catalog fields (env references resolved)
+ */
+function listAddons() {
+  return Object.keys(catalog)
+    .map((key) => Object.assign({ key }, resolveEnv(catalog[key])))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * @param {string} key
+ * @returns {object|null}
+ */
+function getAddon(key) {
+  if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(catalog, key)) return null;
+  return Object.assign({ key }, resolveEnv(catalog[key]));
+}
+
+/** Whether the add-on can be bought with a plan: it has a price and isn't limited to other plans. */
+function isOfferedWith(addon, planKey) {
+  if (!addon?.stripePriceId) return false;
+  return !Array.isArray(addon.plans) || addon.plans.length === 0 || addon.plans.includes(planKey);
+}
+
+/**
+ * Validate the add-ons of a checkout request.
+ * @param {unknown} value - Array of add-on keys (or absent)
+ * @param {string} planKey
+ * @returns {{ addons: Array<object> }|{ error: string }}
+ */
+function parseAddonRequest(value, planKey) {
+  if (value == null) return { addons: [] };
+  if (!Array.isArray(value) || value.length > MAX_ADDONS) return { error: 'Invalid add-ons.' };
+  const keys = [...new Set(value.map((k) => String(k).trim()))];
+  const addons = [];
+  for (const key of keys) {
+    const addon = getAddon(key);
+    if (!isOfferedWith(addon, planKey)) return { error: 'This add-on is not available with this plan.' };
+    addons.push(addon);
+  }
+  return { addons };
+}
+
+/** Fields that are safe to send to the browser (no Stripe or Shopify IDs). */
+function toPublicAddon(addon) {
+  return {
+    key: addon.key,
+    label: addon.label,
+    description: addon.description || null,
+    order: addon.order,
+    plans: Array.isArray(addon.plans) && addon.plans.length ? addon.plans : null,
+  };
+}
+
+/**
+ * The add-on lines of a checkout session (line_items with `price.product` expanded, see orders.loadSession).
+ * @returns {Array<{ key: string, addon: object|null, amountSubtotal: number, quantity: number, description: string }>}
+ */
+function sessionAddonLines(session) {
+  return (session.line_items?.data || [])
+    .map((line) => {
+      const key = line.price?.product?.metadata?.addon;
+      if (!key) return null;
+      return {
+        key,
+        addon: getAddon(key),
+        amountSubtotal: line.amount_subtotal ?? 0,
+        quantity: line.quantity || 1,
+        description: line.description || key,
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = { listAddons, getAddon, isOfferedWith, parseAddonRequest, toPublicAddon, sessionAddonLines };
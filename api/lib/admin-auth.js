@@ -0,0 +1,43 @@
+/**
+ * Auth for /api/admin/* routes: `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`, which is accepted too.
+ */
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return false;
+  const token = match[1].trim();
+  const allowed = [process.env.ADMIN_API_TOKEN, process.env.CRON_SECRET].filter(Boolean);
+  return allowed.some((secret) => safeEqual(token, secret));
+}
+
+/**
+ * Reject the request with 401/500 unless it carries a valid admin token. Returns true when allowed.
+ */
+function requireAdmin(req, res) {
+  if (!process.env.ADMIN_API_TOKEN && !process.env.CRON_SECRET) {
+    console.error('Admin: ADMIN_API_TOKEN not set');
+    res.status(500).json({ error: 'Admin API not configured' });
+    return false;
+  }
+  if (!isAdminRequest(req)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  }
+  return true;
+}
+
+module.exports = { isAdminRequest, requireAdmin };
@@ -0,0 +1,246 @@
+/**
+ * Server-side purchase events for GA4 (Measurement Protocol) and Meta (Conversions API), sent from the webhook
+ * for the first purchase (checkout.session.completed) and each renewal (invoice.paid). Unlike the browser event
+ * they carry the amount actually charged, fire for renewals and aren't lost to ad blockers.
+ *
+ * The browser's GA client ID and Meta _fbp/_fbc cookies travel through checkout metadata (see
+ * create-checkout-session.js). `event_id` is the checkout session ID for the first purchase — the same ID the
+ * page sends as transaction_id/event_id — and the invoice ID for renewals, so each destination can deduplicate.
+ *
+ * GA4 needs GA_MEASUREMENT_ID and GA_API_SECRET; Meta needs META_PIXEL_ID and META_CAPI_ACCESS_TOKEN.
+ */
+
+const crypto = require('crypto');
+const plans = require('./plans');
+
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+// GA4 event parameter names for the stored UTM fields.
+const GA4_CAMPAIGN_PARAMS = {
+  utm_source: 'source',
+  utm_medium: 'medium',
+  utm_campaign: 'campaign',
+  utm_term: 'term',
+  utm_content: 'content',
+  utm_id: 'campaign_id',
+};
+const DEFAULT_META_API_VERSION = 'v19.0';
+
+function ga4Config() {
+  const measurementId = process.env.GA_MEASUREMENT_ID || process.env.GOOGLE_ANALYTICS_MEASUREMENT_ID;
+  const apiSecret = process.env.GA_API_SECRET;
+  return measurementId && apiSecret ? { measurementId, apiSecret } : null;
+}
+
+function metaConfig() {
+  const pixelId = process.env.META_PIXEL_ID;
+  const accessToken = process.env.META_CAPI_ACCESS_TOKEN;
+  if (!pixelId || !accessToken) return null;
+  return {
+    pixelId,
+    accessToken,
+    apiVersion: process.env.META_GRAPH_API_VERSION || DEFAULT_META_API_VERSION,
+    testEventCode: process.env.META_CAPI_TEST_EVENT_CODE || null,
+  };
+}
+
+function isGa4Enabled() {
+  return Boolean(ga4Config());
+}
+
+function isMetaEnabled() {
+  return Boolean(metaConfig());
+}
+
+function isEnabled() {
+  return isGa4Enabled() || isMetaEnabled();
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+function pickUtm(metadata) {
+  const utm = {};
+  for (const key of UTM_KEYS) {
+    const val = metadata?.[key];
+    if (typeof val === 'string' && val.trim()) utm[key] = val.trim();
+  }
+  return utm;
+}
+
+/** Tracking IDs stamped into checkout (and subscription) metadata by create-checkout-session.js. */
+function pickTracking(metadata) {
+  return {
+    clientId: metadata?.ga_client_id || null,
+    fbp: metadata?.fbp || null,
+    fbc: metadata?.fbc || null,
+  };
+}
+
+/**
+ * Purchase event for a completed checkout session (the member's first purchase; 0 during a free trial).
+ * @param {object} session - Checkout session from the webhook event
+ * @returns {object} - Purchase (see sendGa4Purchase / sendMetaPurchase)
+ */
+function purchaseFromSession(session) {
+  const metadata = session.metadata || {};
+  return Object.assign(pickTracking(metadata), {
+    eventId: session.id,
+    transactionId: session.id,
+    type: 'initial',
+    occurredAt: session.created || Math.floor(Date.now() / 1000),
+    value: session.amount_total ?? 0,
+    currency: String(session.currency || 'aud').toUpperCase(),
+    plan: metadata.plan || plans.getDefaultPlan()?.key || null,
+    email: session.customer_details?.email || session.customer_email || null,
+    customerId: idOf(session.customer),
+    subscriptionId: idOf(session.subscription),
+    utm: pickUtm(metadata),
+    clientIp: metadata.client_ip || null,
+    userAgent: metadata.client_user_agent || null,
+    sourceUrl: metadata.source_url || null,
+  });
+}
+
+/**
+ * Whether a paid invoice is a renewal purchase. The first invoice is covered by the checkout session event.
+ * @param {object} invoice
+ */
+function isRenewalInvoice(invoice) {
+  return Boolean(invoice.subscription) && invoice.billing_reason === 'subscription_cycle' && invoice.amount_paid > 0;
+}
+
+/**
+ * Purchase event for a renewal invoice. Tracking IDs and UTM fields come from the subscription metadata.
+ * @param {object} invoice - Paid invoice (isRenewalInvoice)
+ * @param {object} subscription - Its Stripe subscription
+ * @returns {object} - Purchase
+ */
+function purchaseFromInvoice(invoice, subscription) {
+  const metadata = subscription?.metadata || {};
+  const priceId = subscription?.items?.data?.[0]?.price?.id;
+  return Object.assign(pickTracking(metadata), {
+    eventId: invoice.id,
+    transactionId: invoice.id,
+    type: 'renewal',
+    occurredAt: invoice.status_transitions?.paid_at || invoice.created || Math.floor(Date.now() / 1000),
+    value: invoice.amount_paid,
+    currency: String(invoice.currency || 'aud').toUpperCase(),
+    plan: plans.findPlanByPriceId(priceId)?.key || metadata.plan || null,
+    email: invoice.customer_email || null,
+    customerId: idOf(invoice.customer),
+    subscriptionId: idOf(invoice.subscription),
+    utm: pickUtm(metadata),
+    clientIp: null,
+    userAgent: null,
+    sourceUrl: null,
+  });
+}
+
+async function postJson(url, body, label) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`${label} failed: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return res;
+}
+
+/**
+ * Send a purchase to the GA4 Measurement Protocol. Throws on failure so the outbox retries it.
+ * Without a browser client ID (subscriptions from before this was stored) the Stripe customer stands in, so the
+ * revenue is still recorded, just not joined to the browser session.
+ * @param {object} purchase - From purchaseFromSession / purchaseFromInvoice
+ * @returns {Promise<{ status: number }|{ skipped: true }>}
+ */
+async function sendGa4Purchase(purchase) {
+  const config = ga4Config();
+  if (!config) return { skipped: true };
+  const value = purchase.value / 100;
+  const planLabel = plans.getPlan(purchase.plan)?.label || purchase.plan || 'Subscription';
+  const params = {
+    transaction_id: purchase.transactionId,
+    event_id: purchase.eventId,
+    value,
+    currency: purchase.currency,
+    plan: purchase.plan,
+    purchase_type: purchase.type,
+    items: [{ item_id: purchase.plan || 'subscription', item_name: planLabel, price: value, quantity: 1 }],
+  };
+  for (const [key, param] of Object.entries(GA4_CAMPAIGN_PARAMS)) {
+    if (purchase.utm?.[key]) params[param] = purchase.utm[key];
+  }
+  const body = {
+    client_id: purchase.clientId || `stripe.${purchase.customerId || purchase.eventId}`,
+    timestamp_micros: purchase.occurredAt * 1000000,
+    events: [{ name: 'purchase', params }],
+  };
+  const url =
+    'https://www.google-analytics.com/mp/collect' +
+    `?measurement_id=${encodeURIComponent(config.measurementId)}&api_secret=${encodeURIComponent(config.apiSecret)}`;
+  const res = await postJson(url, body, 'GA4 purchase');
+  return { status: res.status };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Send a purchase to the Meta Conversions API. Throws on failure so the outbox retries it.
+ * The email and Stripe customer ID are sent SHA-256 hashed, as Meta requires.
+ * @param {object} purchase - From purchaseFromSession / purchaseFromInvoice
+ * @returns {Promise<{ status: number, eventsReceived?: number }|{ skipped: true }>}
+ */
+async function sendMetaPurchase(purchase) {
+  const config = metaConfig();
+  if (!config) return { skipped: true };
+  const userData = {};
+  if (purchase.email) userData.em = [sha256(purchase.email.trim().toLowerCase())];
+  if (purchase.customerId) userData.external_id = [sha256(purchase.customerId)];
+  if (purchase.fbp) userData.fbp = purchase.fbp;
+  if (purchase.fbc) userData.fbc = purchase.fbc;
+  if (purchase.clientIp) userData.client_ip_address = purchase.clientIp;
+  if (purchase.userAgent) userData.client_user_agent = purchase.userAgent;
+  const customData = {
+    value: purchase.value / 100,
+    currency: purchase.currency,
+    order_id: purchase.transactionId,
+    content_ids: [purchase.plan || 'subscription'],
+    content_type: 'product',
+    purchase_type: purchase.type,
+  };
+  Object.assign(customData, purchase.utm || {});
+  const event = {
+    event_name: 'Purchase',
+    event_time: purchase.occurredAt,
+    event_id: purchase.eventId,
+    // Renewals happen without the member on the site.
+    action_source: purchase.type === 'initial' ? 'website' : 'system_generated',
+    user_data: userData,
+    custom_data: customData,
+  };
+  if (purchase.sourceUrl) event.event_source_url = purchase.sourceUrl;
+  const body = { data: [event], access_token: config.accessToken };
+  if (config.testEventCode) body.test_event_code = config.testEventCode;
+  const url = `https://graph.facebook.com/${config.apiVersion}/${encodeURIComponent(config.pixelId)}/events`;
+  const res = await postJson(url, body, 'Meta purchase');
+  const json = await res.json().catch(() => ({}));
+  return { status: res.status, eventsReceived: json.events_received };
+}
+
+module.exports = {
+  isEnabled,
+  isGa4Enabled,
+  isMetaEnabled,
+  purchaseFromSession,
+  isRenewalInvoice,
+  purchaseFromInvoice,
+  sendGa4Purchase,
+  sendMetaPurchase,
+};
@@ -0,0 +1,156 @@
+/**
+ * Backfill: replay Stripe checkout sessions and paid invoices through the webhook's order building (orders.js)
+ * for records that never got a Shopify order, e.g. while Shopify credentials were wrong. Records that already
+ * have an order are skipped; new ones go through the outbox exactly like a webhook delivery (Loop included).
+ * Used by /api/admin/backfill and scripts/backfill.js.
+ *
+ * Result statuses: would_create (dry run), created, queued (first attempt failed, will retry), exists,
+ * already_queued (an outbox entry exists for it and is running or waiting for its next retry), skipped, error.
+ * An existing entry that is dead, or pending but overdue, is run again (see rerunQueued).
+ */
+
+const orders = require('./orders');
+const outbox = require('./outbox');
+const { getShopifyConfig } = require('./shopify');
+
+// Webhook events that produce orders, and which record they point at.
+const EVENT_TARGETS = { 'checkout.session.completed': 'session', 'invoice.paid': 'invoice' };
+
+async function collect(list) {
+  const items = [];
+  for await (const item of list) items.push(item);
+  return items;
+}
+
+/**
+ * Turn a date range and/or a list of Stripe IDs (evt_, cs_, in_) into sessions and invoices to replay.
+ * @returns {Promise<{ targets: Array<{ kind: 'session'|'invoice', id: string }>, skipped: Array<{ id: string, reason: string }> }>}
+ */
+async function resolveTargets(stripe, { from, to, ids }) {
+  const targets = [];
+  const skipped = [];
+  const seen = new Set();
+  const add = (kind, id) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    targets.push({ kind, id });
+  };
+
+  for (const id of ids || []) {
+    if (id.startsWith('cs_')) {
+      add('session', id);
+    } else if (id.startsWith('in_')) {
+      add('invoice', id);
+    } else if (id.startsWith('evt_')) {
+      try {
+        // Stripe keeps events for 30 days; use the session/invoice ID for anything older.
+        const event = await stripe.events.retrieve(id);
+        const kind = EVENT_TARGETS[event.type];
+        if (kind) add(kind, event.data.object.id);
+        else skipped.push({ id, reason: `Event type ${event.type} does not create an order` });
+      } catch (err) {
+        skipped.push({ id, reason: `Event lookup failed: ${err.message}` });
+      }
+    } else {
+      skipped.push({ id, reason: 'Unsupported ID (use evt_, cs_ or in_)' });
+    }
+  }
+
+  if (from && to) {
+    const created = { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) };
+    // Only sessions from this app's checkout (it always stamps metadata.plan).
+    const sessions = await collect(stripe.checkout.sessions.list({ created, status: 'complete', limit: 100 }));
+    for (const session of sessions) if (session.metadata?.plan) add('session', session.id);
+    const invoices = await collect(stripe.invoices.list({ created, status: 'paid', limit: 100 }));
+    for (const invoice of invoices) if (orders.isOrderInvoice(invoice)) add('invoice', invoice.id);
+  }
+  return { targets, skipped };
+}
+
+/**
+ * Result for a record that already has an outbox entry. A dead entry, or a pending one whose retry time has passed
+ * (e.g. the cron isn't running), is run again now and reported by how that went: created, queued (failed again,
+ * will retry) or error (dead again). Anything else is left to the outbox and reported as already_queued.
+ */
+async function rerunQueued(entry) {
+  const due = !entry?.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= Date.now();
+  const overdue = entry?.status === 'pending' && due;
+  if (entry?.status !== 'dead' && !overdue) {
+    return { status: 'already_queued', outboxId: entry?.id, outboxStatus: entry?.status };
+  }
+  const retried = await outbox.retry(entry.id);
+  const current = retried.entry || entry;
+  if (retried.ok) return { status: 'created', orderId: retried.result?.orderId || null, outboxId: current.id };
+  if (retried.locked) return { status: 'already_queued', outboxId: current.id, outboxStatus: current.status };
+  return {
+    status: current.status === 'dead' ? 'error' : 'queued',
+    outboxId: current.id,
+    outboxStatus: current.status,
+    reason: current.lastError,
+  };
+}
+
+/**
+ * Replay sessions/invoices. With dryRun nothing is written to Shopify or Loop; each new record's draft-order
+ * payload is returned instead.
+ * @param {import('stripe').Stripe} stripe
+ * @param {{ from?: Date, to?: Date, ids?: string[], dryRun?: boolean }} options
+ * @returns {Promise<{ dryRun: boolean, summary: object, results: object[] }>}
+ */
+async function runBackfill(stripe, options) {
+  if (!getShopifyConfig()) throw new Error('Shopify not configured');
+  const dryRun = Boolean(options.dryRun);
+  const { targets, skipped } = await resolveTargets(stripe, options);
+  const results = skipped.map((s) => ({ id: s.id, status: 'skipped', reason: s.reason }));
+
+  for (const target of targets) {
+    const result = { kind: target.kind, id: target.id };
+    results.push(result);
+    try {
+      const order =
+        target.kind === 'session'
+          ? orders.buildSessionOrder(await orders.loadSession(stripe, target.id))
+          : await orders.buildInvoiceOrder(stripe, await orders.loadInvoice(stripe, target.id));
+      if (order.skip) {
+        Object.assign(result, { status: 'skipped', reason: order.skip });
+        continue;
+      }
+      result.email = order.email;
+      const existing = await orders.findExistingOrder(order.attribute, order.email, { source: 'backfill' });
+      if (existing.error) {
+        Object.assign(result, { status: 'error', reason: 'Existing order lookup failed' });
+        continue;
+      }
+      if (existing.orderId) {
+        Object.assign(result, { status: 'exists', orderId: existing.orderId });
+        continue;
+      }
+      if (dryRun) {
+        Object.assign(result, {
+          status: 'would_create',
+          currencyCode: order.currencyCode,
+          draftOrder: order.draftOrder,
+          loop: Boolean(order.loop),
+        });
+        continue;
+      }
+      const queued = await orders.queueOrder(order);
+      if (queued.duplicate) {
+        Object.assign(result, await rerunQueued(queued.entry));
+      } else if (queued.ok) {
+        Object.assign(result, { status: 'created', orderId: queued.result?.orderId || null });
+      } else {
+        Object.assign(result, { status: 'queued', outboxId: queued.entry?.id, reason: queued.entry?.lastError });
+      }
+    } catch (err) {
+      console.error('Backfill: failed', target.kind, target.id, err.message);
+      Object.assign(result, { status: 'error', reason: err.message });
+    }
+  }
+
+  const summary = {};
+  for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+  return { dryRun, summary, results };
+}
+
+module.exports = { runBackfill };
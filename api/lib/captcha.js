@@ -0,0 +1,94 @@
+/**
+ * CAPTCHA verification behind a small verifier interface:
+ *   { name, siteKey, verify(token, remoteIp) → Promise<{ ok: boolean, error?: string }> }
+ *
+ * CAPTCHA_PROVIDER picks the verifier:
+ *   - "turnstile" — Cloudflare Turnstile (CAPTCHA_SITE_KEY, CAPTCHA_SECRET_KEY)
+ *   - "hcaptcha"  — hCaptcha (same keys)
+ *   - "stub"      — offline/dev: accepts any token except "fail"; no network calls
+ * Unset means no CAPTCHA. A provider that is set but unknown or missing its keys gives a verifier with
+ * `misconfigured` (the reason), so checkout refuses requests instead of skipping the check. setVerifier() installs
+ * a custom verifier (another provider, or a stub in tests).
+ */
+
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+};
+
+let customVerifier = null;
+
+/** Verifier for Turnstile/hCaptcha: both take a form POST of secret, response and remoteip. */
+function siteverifyVerifier(name, siteKey, secret) {
+  return {
+    name,
+    siteKey,
+    async verify(token, remoteIp) {
+      const form = new URLSearchParams({ secret, response: token });
+      if (remoteIp) form.set('remoteip', remoteIp);
+      const res = await fetch(SITEVERIFY_URLS[name], {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: form.toString(),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`CAPTCHA verify failed: ${res.status}`);
+      const json = await res.json();
+      return json.success ? { ok: true } : { ok: false, error: (json['error-codes'] || []).join(', ') || 'rejected' };
+    },
+  };
+}
+
+function misconfiguredVerifier(name, reason) {
+  return {
+    name,
+    siteKey: null,
+    misconfigured: reason,
+    async verify() {
+      throw new Error(reason);
+    },
+  };
+}
+
+const stubVerifier = {
+  name: 'stub',
+  siteKey: 'stub',
+  async verify(token) {
+    return token === 'fail' ? { ok: false, error: 'stub rejected' } : { ok: true };
+  },
+};
+
+/**
+ * The configured verifier, or null when CAPTCHA is off.
+ * @returns {{ name: string, siteKey: string|null, misconfigured?: string, verify: Function }|null}
+ */
+function getVerifier() {
+  if (customVerifier) return customVerifier;
+  const provider = (process.env.CAPTCHA_PROVIDER || '').toLowerCase();
+  if (!provider) return null;
+  if (provider === 'stub') return stubVerifier;
+  if (!SITEVERIFY_URLS[provider]) {
+    console.error('Captcha: unknown CAPTCHA_PROVIDER', provider);
+    return misconfiguredVerifier(provider, `unknown CAPTCHA_PROVIDER "${provider}"`);
+  }
+  const siteKey = process.env.CAPTCHA_SITE_KEY;
+  const secret = process.env.CAPTCHA_SECRET_KEY;
+  if (!siteKey || !secret) {
+    console.error('Captcha: CAPTCHA_SITE_KEY and CAPTCHA_SECRET_KEY are required for', provider);
+    return misconfiguredVerifier(provider, `CAPTCHA_SITE_KEY and CAPTCHA_SECRET_KEY are required for ${provider}`);
+  }
+  return siteverifyVerifier(provider, siteKey, secret);
+}
+
+/** Replace the verifier (null restores the CAPTCHA_PROVIDER one). */
+function setVerifier(verifier) {
+  customVerifier = verifier;
+}
+
+/** What the page needs to render the widget (served by /api/config). */
+function getClientConfig() {
+  const verifier = getVerifier();
+  return verifier && !verifier.misconfigured ? { provider: verifier.name, siteKey: verifier.siteKey } : null;
+}
+
+module.exports = { getVerifier, setVerifier, getClientConfig };
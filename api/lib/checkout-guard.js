@@ -0,0 +1,242 @@
+/**
+ * Abuse protection for /api/create-checkout-session (card testing, session flooding). Checks, in order:
+ *   1. Rate limits per client IP, per subnet (IPv4 /24, IPv6 /64) and per browser fingerprint (lib/rate-limit.js):
+ *      CHECKOUT_RATE_LIMIT_IP (default 20), CHECKOUT_RATE_LIMIT_SUBNET (default 60) and
+ *      CHECKOUT_RATE_LIMIT_FINGERPRINT (default 10) requests per CHECKOUT_RATE_LIMIT_WINDOW_SECONDS (default 600).
+ *      0 turns a limit off. The fingerprint hashes the page's device ID and headers together with the client IP,
+ *      so changing the request body alone gives a new fingerprint but not a way around the IP limits.
+ *   2. CAPTCHA, when CAPTCHA_PROVIDER is set (lib/captcha.js). Widget tokens are single-use, so a verified
+ *      request also gets a `captcha_pass` (signed, bound to the subnet, valid CAPTCHA_PASS_SECONDS, default 600)
+ *      that the page sends instead for follow-up sessions such as applying a promo code. A provider that is set
+ *      but misconfigured refuses checkouts (503) rather than letting them through unchecked.
+ *   3. Open sessions per IP and per email: sessions created for an IP, and for the checkout email when the page
+ *      sends one (lowercased), are recorded (recordOpenSession). A new one is refused while
+ *      CHECKOUT_MAX_OPEN_SESSIONS_PER_IP (default 10) or CHECKOUT_MAX_OPEN_SESSIONS_PER_EMAIL (default 3) of them
+ *      are still open in Stripe. 0 turns a cap off.
+ * A rejection is { status, error, code, retryAfter? } for the endpoint to send as is.
+ */
+
+const crypto = require('crypto');
+const rateLimit = require('./rate-limit');
+const captcha = require('./captcha');
+const { getStore } = require('./store');
+const { signJwt, verifyJwt } = require('./jwt');
+
+const DEFAULTS = {
+  ipLimit: 20,
+  subnetLimit: 60,
+  fingerprintLimit: 10,
+  windowSeconds: 600,
+  passSeconds: 600,
+  maxOpenSessionsPerIp: 10,
+  maxOpenSessionsPerEmail: 3,
+};
+// Checkout sessions stay open for 24 hours unless completed or expired earlier.
+const OPEN_SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function getSettings() {
+  return {
+    ipLimit: envNumber('CHECKOUT_RATE_LIMIT_IP', DEFAULTS.ipLimit),
+    subnetLimit: envNumber('CHECKOUT_RATE_LIMIT_SUBNET', DEFAULTS.subnetLimit),
+    fingerprintLimit: envNumber('CHECKOUT_RATE_LIMIT_FINGERPRINT', DEFAULTS.fingerprintLimit),
+    windowSeconds: envNumber('CHECKOUT_RATE_LIMIT_WINDOW_SECONDS', DEFAULTS.windowSeconds) || DEFAULTS.windowSeconds,
+    passSeconds: envNumber('CAPTCHA_PASS_SECONDS', DEFAULTS.passSeconds) || DEFAULTS.passSeconds,
+    maxOpenSessionsPerIp: envNumber('CHECKOUT_MAX_OPEN_SESSIONS_PER_IP', DEFAULTS.maxOpenSessionsPerIp),
+    maxOpenSessionsPerEmail: envNumber('CHECKOUT_MAX_OPEN_SESSIONS_PER_EMAIL', DEFAULTS.maxOpenSessionsPerEmail),
+  };
+}
+
+/** The network an IP belongs to: its /24 for IPv4, its /64 for IPv6 (one customer's allocation). */
+function getSubnet(ip) {
+  if (!ip) return null;
+  const address = String(ip).split('%')[0].toLowerCase();
+  const v4 = /^(?:::ffff:)?(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}$/.exec(address);
+  if (v4) return `${v4[1]}.0/24`;
+  if (!address.includes(':')) return null;
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill('0');
+  const groups = [...headGroups, ...zeros, ...tailGroups];
+  return `${groups.slice(0, 4).map((g) => parseInt(g || '0', 16).toString(16)).join(':')}::/64`;
+}
+
+function hashId(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Browser fingerprint: the page's random device ID plus headers that rarely change between requests, hashed with
+ * the client IP so that a fresh device ID from the same address can't be used to reset the IP's other limits.
+ */
+function getFingerprint(req, body, ip) {
+  if (!ip) return null;
+  const deviceId = typeof body.device_id === 'string' ? body.device_id.slice(0, 100) : '';
+  return hashId([ip, deviceId, req.headers['user-agent'] || '', req.headers['accept-language'] || ''].join('|'));
+}
+
+/** The checkout email the page sent, lowercased, or null when missing or invalid. */
+function getCheckoutEmail(body) {
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  if (!email || email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+  return email.toLowerCase();
+}
+
+// Passes are signed with a key derived from the provider secret; without one (stub or custom verifiers) the
+// page simply sends a widget token every time.
+function passKey() {
+  const secret = process.env.CAPTCHA_SECRET_KEY;
+  return secret ? crypto.createHmac('sha256', secret).update('checkout-captcha-pass').digest('hex') : null;
+}
+
+function rejection(status, code, error, retryAfter) {
+  return Object.assign({ status, code, error }, retryAfter ? { retryAfter } : {});
+}
+
+async function checkRateLimits(ip, subnet, fingerprint, settings) {
+  const checks = [
+    ['checkout-ip', ip, settings.ipLimit],
+    ['checkout-subnet', subnet, settings.subnetLimit],
+    ['checkout-fingerprint', fingerprint, settings.fingerprintLimit],
+  ];
+  for (const [bucket, id, limit] of checks) {
+    if (!id || !limit) continue;
+    const result = await rateLimit.hit(bucket, id, { limit, windowSeconds: settings.windowSeconds });
+    if (!result.allowed) {
+      console.warn('Checkout: rate limited', bucket, `${result.count}/${limit}`);
+      return rejection(429, 'rate_limited', 'Too many checkout attempts. Please wait a few minutes and try again.', result.retryAfter);
+    }
+  }
+  return null;
+}
+
+async function checkCaptcha(body, ip, subnet, settings) {
+  const verifier = captcha.getVerifier();
+  if (!verifier) return { pass: null };
+  if (verifier.misconfigured) {
+    console.error('Checkout: CAPTCHA misconfigured, refusing checkout', verifier.misconfigured);
+    const error = 'Checkout is temporarily unavailable. Please try again later.';
+    return { rejection: rejection(503, 'captcha_unavailable', error) };
+  }
+  const network = hashId(subnet || ip || '');
+  const key = passKey();
+  if (key && typeof body.captcha_pass === 'string') {
+    const claims = verifyJwt(body.captcha_pass, key);
+    if (claims && claims.net === network) return { pass: null };
+  }
+  const token = typeof body.captcha_token === 'string' ? body.captcha_token.trim() : '';
+  if (!token) {
+    return { rejection: rejection(403, 'captcha_required', 'Please complete the verification check and try again.') };
+  }
+  let result;
+  try {
+    result = await verifier.verify(token, ip);
+  } catch (err) {
+    console.error('Checkout: CAPTCHA verification error', err.message);
+    return { rejection: rejection(403, 'captcha_failed', 'We could not verify the check. Please try again.') };
+  }
+  if (!result.ok) {
+    console.warn('Checkout: CAPTCHA rejected', verifier.name, result.error || '');
+    return { rejection: rejection(403, 'captcha_failed', 'The verification check failed. Please try again.') };
+  }
+  return { pass: key ? signJwt({ net: network }, key, { ttlSeconds: settings.passSeconds }) : null };
+}
+
+// Which sessions the open-session caps count, by what they're keyed on.
+function openSessionKeys(ip, email, settings) {
+  const keys = [];
+  if (ip && settings.maxOpenSessionsPerIp) {
+    keys.push({ key: `open:${hashId(ip)}`, max: settings.maxOpenSessionsPerIp, label: 'IP' });
+  }
+  if (email && settings.maxOpenSessionsPerEmail) {
+    keys.push({ key: `open-email:${hashId(email)}`, max: settings.maxOpenSessionsPerEmail, label: 'email' });
+  }
+  return keys;
+}
+
+/**
+ * Refuse a new session while the IP or the email already has the maximum number of open ones. A recorded list is
+ * only checked against Stripe (completed or expired sessions don't count) once it reaches its cap.
+ */
+async function checkOpenSessions(stripe, ip, email, settings) {
+  const store = getStore('checkout-guard');
+  const now = Math.floor(Date.now() / 1000);
+  for (const { key, max, label } of openSessionKeys(ip, email, settings)) {
+    let open = ((await store.get(key)) || []).filter((s) => s.expiresAt > now);
+    if (open.length < max) continue;
+    const sessions = await Promise.all(open.map((s) => stripe.checkout.sessions.retrieve(s.id)));
+    open = open.filter((_, i) => sessions[i].status === 'open');
+    await store.set(key, open, { ttlSeconds: OPEN_SESSION_TTL_SECONDS });
+    if (open.length >= max) {
+      console.warn(`Checkout: too many open sessions for an ${label}`, open.length);
+      const from = label === 'email' ? 'for this email' : 'from your connection';
+      return rejection(
+        429,
+        'too_many_open_sessions',
+        `There are too many unfinished checkouts ${from}. Please try again later or contact us.`
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Remember a session created for this request's IP and checkout email, for the open-session caps. Store errors are
+ * logged, not thrown.
+ * @param {import('http').IncomingMessage} req
+ * @param {object} body - Parsed request body (email is read)
+ * @param {{ id: string, expires_at?: number }} session
+ */
+async function recordOpenSession(req, body, session) {
+  const keys = openSessionKeys(rateLimit.getClientIp(req), getCheckoutEmail(body), getSettings());
+  const now = Math.floor(Date.now() / 1000);
+  try {
+    const store = getStore('checkout-guard');
+    for (const { key } of keys) {
+      const open = ((await store.get(key)) || []).filter((s) => s.expiresAt > now);
+      open.push({ id: session.id, expiresAt: session.expires_at || now + OPEN_SESSION_TTL_SECONDS });
+      await store.set(key, open, { ttlSeconds: OPEN_SESSION_TTL_SECONDS });
+    }
+  } catch (err) {
+    console.error('Checkout: failed to record open session', err.message);
+  }
+}
+
+/**
+ * Run the checks for a checkout request.
+ * @param {import('http').IncomingMessage} req
+ * @param {object} body - Parsed request body (device_id, captcha_token, captcha_pass, email are read)
+ * @param {import('stripe').Stripe} stripe
+ * @returns {Promise<{ rejection: { status: number, code: string, error: string, retryAfter?: number }|null,
+ *   captchaPass: string|null }>}
+ */
+async function checkCheckoutRequest(req, body, stripe) {
+  const settings = getSettings();
+  const ip = rateLimit.getClientIp(req);
+  const subnet = getSubnet(ip);
+  const fingerprint = getFingerprint(req, body, ip);
+
+  const limited = await checkRateLimits(ip, subnet, fingerprint, settings);
+  if (limited) return { rejection: limited, captchaPass: null };
+
+  const verified = await checkCaptcha(body, ip, subnet, settings);
+  if (verified.rejection) return { rejection: verified.rejection, captchaPass: null };
+
+  let capped = null;
+  try {
+    capped = await checkOpenSessions(stripe, ip, getCheckoutEmail(body), settings);
+  } catch (err) {
+    // Don't turn a Stripe hiccup in the abuse check into a lost sale.
+    console.error('Checkout: open session check failed', err.message);
+  }
+  return { rejection: capped, captchaPass: verified.pass };
+}
+
+module.exports = { checkCheckoutRequest, recordOpenSession };
@@ -0,0 +1,188 @@
+/**
+ * Failed-payment (dunning) lifecycle per Stripe subscription: active → past_due → recovered (active) or cancelled.
+ * Each transition is queued in the outbox:
+ *   past_due  → tag the Shopify customer (SHOPIFY_PAYMENT_FAILED_TAG), pause Loop if LOOP_PAUSE_ON_PAYMENT_FAILURE
+ *   recovered → remove the tag, resume Loop if it was paused
+ *   cancelled → (Loop cancel is queued by the webhook)
+ * and every transition is sent to the lifecycle notification URL (see notify.js). past_due and cancelled also go
+ * out as member.past_due / member.cancelled webhooks (see member-events.js).
+ *
+ * State lives in the 'dunning' store under `sub:<subscriptionId>`:
+ * { state, since, email, plan, invoiceId, attemptCount, customerId, shopifyCustomerId, loopSubscriptionId, loopPaused, updatedAt }
+ */
+
+const { getStore } = require('./store');
+const outbox = require('./outbox');
+const loop = require('./loop');
+const notify = require('./notify');
+const memberEvents = require('./member-events');
+const { getShopifyConfig } = require('./shopify');
+
+// Keep state long enough to outlive Stripe's retry schedule and a cancelled member coming back.
+const STATE_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+function paymentFailedTag() {
+  return process.env.SHOPIFY_PAYMENT_FAILED_TAG || 'payment-failed';
+}
+
+function pauseLoopOnFailure() {
+  const v = process.env.LOOP_PAUSE_ON_PAYMENT_FAILURE;
+  return v === 'true' || v === '1';
+}
+
+function describe(event, record) {
+  const who = record.email || record.subscriptionId;
+  if (event === 'subscription.past_due') {
+    const attempt = record.attemptCount ? ` (attempt ${record.attemptCount})` : '';
+    return `Payment failed for ${who}${attempt}; membership is past due.`;
+  }
+  if (event === 'subscription.recovered') return `Payment recovered for ${who}; membership is active again.`;
+  const after = record.previousState === 'past_due' ? ' after failed payments' : '';
+  return `Membership cancelled for ${who}${after}.`;
+}
+
+function buildNotification(event, record) {
+  return {
+    event,
+    text: describe(event, record),
+    subscription_id: record.subscriptionId,
+    customer_email: record.email || null,
+    plan: record.plan || null,
+    invoice_id: record.invoiceId || null,
+    amount_due: record.amountDue ?? null,
+    currency: record.currency || null,
+    attempt_count: record.attemptCount ?? null,
+    next_payment_attempt: record.nextPaymentAttempt
+      ? new Date(record.nextPaymentAttempt * 1000).toISOString()
+      : null,
+    previous_state: record.previousState,
+    occurred_at: record.since,
+  };
+}
+
+/** Copy the context fields that were provided (so a missing value never erases a stored one). */
+function pick(context) {
+  const out = {};
+  const fields = [
+    'email',
+    'plan',
+    'invoiceId',
+    'amountDue',
+    'currency',
+    'attemptCount',
+    'nextPaymentAttempt',
+    'customerId',
+    'shopifyCustomerId',
+    'loopSubscriptionId',
+  ];
+  for (const field of fields) {
+    if (context[field] != null && context[field] !== '') out[field] = context[field];
+  }
+  return out;
+}
+
+/**
+ * Move a subscription to a new dunning state and queue the side effects. Safe to call repeatedly and from
+ * several webhook events for the same change (e.g. invoice.payment_failed and customer.subscription.updated):
+ * a no-op transition does nothing, and outbox keys include the invoice so a race queues each action once.
+ * Throws if the state or an outbox entry can't be written (the webhook returns 500 and Stripe redelivers).
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {'past_due'|'active'|'cancelled'} nextState
+ * @param {{ email?: string|null, plan?: string|null, invoiceId?: string|null, amountDue?: number, currency?: string,
+ *   attemptCount?: number, nextPaymentAttempt?: number|null, customerId?: string, shopifyCustomerId?: string,
+ *   loopSubscriptionId?: string }} [context] - Invoice fields are Stripe's (cents, unix seconds); customerId is the
+ *   Stripe customer, the other IDs come from the Stripe subscription metadata
+ * @returns {Promise<{ changed: boolean, event?: string }>}
+ */
+async function transition(subscriptionId, nextState, context = {}) {
+  const store = getStore('dunning');
+  const key = `sub:${subscriptionId}`;
+  const current = (await store.get(key)) || { state: 'active' };
+  const previousState = current.state;
+
+  if (nextState === previousState) {
+    if (nextState === 'past_due' && context.attemptCount != null) {
+      // Another failed retry: keep the details current, but it's not a new transition.
+      await store.set(key, Object.assign({}, current, pick(context), { updatedAt: new Date().toISOString() }), {
+        ttlSeconds: STATE_TTL_SECONDS,
+      });
+    }
+    return { changed: false };
+  }
+  // Stripe sends updates for subscriptions that were never past due; "active" only matters as a recovery.
+  if (nextState === 'active' && previousState !== 'past_due') return { changed: false };
+  if (previousState === 'cancelled') return { changed: false };
+
+  const now = new Date().toISOString();
+  // Recovery events don't carry the customer; the email stored when payment failed is kept.
+  const record = Object.assign({}, current, pick(context), {
+    subscriptionId,
+    state: nextState,
+    previousState,
+    since: now,
+    updatedAt: now,
+  });
+  const event =
+    nextState === 'past_due' ? 'subscription.past_due' : nextState === 'active' ? 'subscription.recovered' : 'subscription.cancelled';
+  const keySuffix = `${subscriptionId}:${nextState}:${record.invoiceId || ''}`;
+
+  if (nextState === 'past_due') {
+    record.loopPaused = false;
+    if ((record.email || record.shopifyCustomerId) && getShopifyConfig()) {
+      await outbox.enqueue(
+        'shopify.customer_tags',
+        { email: record.email, shopifyCustomerId: record.shopifyCustomerId, add: [paymentFailedTag()] },
+        { key: `dunning_tag:${keySuffix}` }
+      );
+    }
+    if ((record.email || record.loopSubscriptionId) && loop.isEnabled() && pauseLoopOnFailure()) {
+      await outbox.enqueue(
+        'loop.pause',
+        { email: record.email, loopSubscriptionId: record.loopSubscriptionId },
+        { key: `loop_pause:${keySuffix}` }
+      );
+      record.loopPaused = true;
+    }
+  } else if (nextState === 'active') {
+    if ((record.email || record.shopifyCustomerId) && getShopifyConfig()) {
+      await outbox.enqueue(
+        'shopify.customer_tags',
+        { email: record.email, shopifyCustomerId: record.shopifyCustomerId, remove: [paymentFailedTag()] },
+        { key: `dunning_tag:${keySuffix}` }
+      );
+    }
+    if (current.loopPaused && loop.isEnabled()) {
+      await outbox.enqueue(
+        'loop.resume',
+        { email: record.email, loopSubscriptionId: record.loopSubscriptionId },
+        { key: `loop_resume:${keySuffix}` }
+      );
+    }
+    record.loopPaused = false;
+  }
+
+  if (notify.isEnabled()) {
+    await outbox.enqueue('notify.lifecycle', buildNotification(event, record), { key: `notify:${keySuffix}` });
+  }
+  if (nextState === 'past_due' || nextState === 'cancelled') {
+    await memberEvents.queueDunning(nextState, record);
+  }
+  if (nextState === 'active') {
+    // The failed attempt is settled; don't carry its details into a later notification.
+    for (const field of ['amountDue', 'attemptCount', 'nextPaymentAttempt']) delete record[field];
+  }
+  await store.set(key, record, { ttlSeconds: STATE_TTL_SECONDS });
+  console.log('Dunning:', subscriptionId, previousState, '→', nextState);
+  return { changed: true, event };
+}
+
+/**
+ * Current dunning state for a subscription ('active' when nothing has been recorded).
+ * @param {string} subscriptionId
+ * @returns {Promise<object>}
+ */
+async function getState(subscriptionId) {
+  return (await getStore('dunning').get(`sub:${subscriptionId}`)) || { state: 'active' };
+}
+
+module.exports = { transition, getState };
@@ -0,0 +1,234 @@
+/**
+ * Membership entitlements: "is this person a member, on which plan, until when?" for /api/entitlement.
+ *
+ * The webhook records every subscription it sees (customer.subscription.created/updated/deleted) and lifetime
+ * purchases (payment-mode checkouts) in the 'entitlements' store, so lookups don't hit Stripe:
+ *   customer:<customerId> → { customerId, email, items: { [subscriptionId|sessionId]: item }, complete }
+ *   email:<email>         → { customerIds: [...], complete }
+ * item: { id, plan, status, trialEnd, currentPeriodEnd, cancelAtPeriodEnd, lifetime, eventCreated } (unix seconds)
+ *
+ * `complete` marks a record loaded in full from Stripe. Records the webhook starts from scratch are partial (the
+ * customer may have older subscriptions, or other customers with the same email), so the first lookup still reads
+ * Stripe once. Records expire after ENTITLEMENT_CACHE_SECONDS (default 1 hour) and
+ * are then reloaded from Stripe, which also covers a missed webhook. A lookup that finds no customer is cached
+ * for a minute.
+ */
+
+const { getStore } = require('./store');
+const plans = require('./plans');
+
+const DEFAULT_CACHE_SECONDS = 60 * 60;
+const NOT_FOUND_CACHE_SECONDS = 60;
+// Statuses that still grant access (past_due: Stripe is retrying the payment).
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due'];
+
+function store() {
+  return getStore('entitlements');
+}
+
+function cacheSeconds() {
+  const n = Number(process.env.ENTITLEMENT_CACHE_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_CACHE_SECONDS;
+}
+
+/** Entitlement lookups are on when the endpoint has API keys; the webhook only records data in that case. */
+function isEnabled() {
+  return getApiKeys().length > 0;
+}
+
+function getApiKeys() {
+  return String(process.env.ENTITLEMENT_API_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+/** Entitlement item for a Stripe subscription. */
+function subscriptionItem(sub, eventCreated) {
+  const item = sub.items?.data?.[0];
+  return {
+    id: sub.id,
+    plan: plans.findPlanByPriceId(item?.price?.id)?.key || sub.metadata?.plan || null,
+    status: sub.status,
+    trialEnd: sub.trial_end || null,
+    // Newer API versions moved the period onto the subscription item.
+    currentPeriodEnd: sub.current_period_end ?? item?.current_period_end ?? null,
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+    lifetime: false,
+    eventCreated,
+  };
+}
+
+/** Entitlement item for a one-time (lifetime) purchase. */
+function lifetimeItem(session, eventCreated) {
+  return {
+    id: session.id,
+    plan: session.metadata?.plan || null,
+    status: 'active',
+    trialEnd: null,
+    currentPeriodEnd: null,
+    cancelAtPeriodEnd: false,
+    lifetime: true,
+    eventCreated,
+  };
+}
+
+async function saveCustomer(record) {
+  await store().set(`customer:${record.customerId}`, record, { ttlSeconds: cacheSeconds() });
+  const email = normalizeEmail(record.email);
+  if (!email) return;
+  const key = `email:${email}`;
+  const index = (await store().get(key)) || { customerIds: [], complete: false };
+  if (!index.customerIds.includes(record.customerId)) index.customerIds.push(record.customerId);
+  await store().set(key, index, { ttlSeconds: cacheSeconds() });
+  await store().delete(`none:${email}`);
+}
+
+async function recordItem(stripe, customerId, email, item) {
+  if (!customerId) return;
+  const existing = await store().get(`customer:${customerId}`);
+  const previous = existing?.items?.[item.id];
+  // Stripe doesn't guarantee event order; keep the newer state.
+  if (previous && previous.eventCreated > item.eventCreated) return;
+  let recordEmail = email || existing?.email || null;
+  if (!recordEmail) {
+    const customer = await stripe.customers.retrieve(customerId);
+    recordEmail = customer.deleted ? null : customer.email;
+  }
+  const record = existing || { customerId, items: {}, complete: false };
+  record.email = recordEmail;
+  record.items[item.id] = item;
+  await saveCustomer(record);
+}
+
+/**
+ * Record a subscription from a customer.subscription.* webhook event.
+ * @param {import('stripe').Stripe} stripe
+ * @param {object} sub - Stripe subscription
+ * @param {number} eventCreated - The event's `created` (unix seconds)
+ */
+function recordSubscription(stripe, sub, eventCreated) {
+  return recordItem(stripe, idOf(sub.customer), null, subscriptionItem(sub, eventCreated));
+}
+
+/**
+ * Record a lifetime purchase from a payment-mode checkout.session.completed.
+ * @param {import('stripe').Stripe} stripe
+ * @param {object} session - Checkout session
+ * @param {number} eventCreated
+ */
+function recordLifetimePurchase(stripe, session, eventCreated) {
+  const email = session.customer_details?.email || session.customer_email || null;
+  return recordItem(stripe, idOf(session.customer), email, lifetimeItem(session, eventCreated));
+}
+
+async function collect(list) {
+  const items = [];
+  for await (const item of list) items.push(item);
+  return items;
+}
+
+/** Load a customer's subscriptions and lifetime purchases from Stripe and cache them. */
+async function loadCustomer(stripe, customer) {
+  const now = Math.floor(Date.now() / 1000);
+  const subscriptions = await collect(stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 100 }));
+  const sessions = await collect(stripe.checkout.sessions.list({ customer: customer.id, status: 'complete', limit: 100 }));
+  const record = { customerId: customer.id, email: customer.email || null, items: {}, complete: true };
+  for (const sub of subscriptions) record.items[sub.id] = subscriptionItem(sub, now);
+  for (const session of sessions) {
+    // Gift purchases (see gifts.js) give the recipient a subscription when redeemed, not the buyer a membership.
+    if (session.mode === 'payment' && session.metadata?.plan && session.metadata.gift !== 'true') {
+      record.items[session.id] = lifetimeItem(session, now);
+    }
+  }
+  await saveCustomer(record);
+  return record;
+}
+
+async function getCustomerRecord(stripe, customerId) {
+  const cached = await store().get(`customer:${customerId}`);
+  if (cached?.complete) return { record: cached, cached: true };
+  let customer;
+  try {
+    customer = await stripe.customers.retrieve(customerId);
+  } catch (err) {
+    if (err.statusCode === 404 || err.code === 'resource_missing') return { record: null, cached: false };
+    throw err;
+  }
+  if (customer.deleted) return { record: null, cached: false };
+  return { record: await loadCustomer(stripe, customer), cached: false };
+}
+
+// Stripe's email filter is case-sensitive, so it gets the address as given; the cache key is normalised.
+async function findCustomerIds(stripe, rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  const key = `email:${email}`;
+  const cached = await store().get(key);
+  if (cached?.complete) return cached.customerIds;
+  if (await store().get(`none:${email}`)) return [];
+  const customers = await collect(stripe.customers.list({ email: rawEmail.trim(), limit: 100 }));
+  if (customers.length === 0) {
+    await store().set(`none:${email}`, true, { ttlSeconds: NOT_FOUND_CACHE_SECONDS });
+    return [];
+  }
+  const customerIds = customers.map((c) => c.id);
+  await store().set(key, { customerIds, complete: true }, { ttlSeconds: cacheSeconds() });
+  return customerIds;
+}
+
+function isoFromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/** The item that decides access: lifetime first, then entitled statuses, then the latest period end. */
+function pickBest(items) {
+  const rank = (item) => (item.lifetime ? 2 : ENTITLED_STATUSES.includes(item.status) ? 1 : 0);
+  return items.slice().sort((a, b) => rank(b) - rank(a) || (b.currentPeriodEnd || 0) - (a.currentPeriodEnd || 0))[0] || null;
+}
+
+/**
+ * Look up a person's membership by email or Stripe customer ID.
+ * @param {import('stripe').Stripe} stripe
+ * @param {{ email?: string, customerId?: string }} query
+ * @returns {Promise<{ member: boolean, email: string|null, customer_id: string|null, subscription_id: string|null,
+ *   plan: string|null, status: string|null, lifetime: boolean, trial_end: string|null, current_period_end: string|null,
+ *   cancel_at_period_end: boolean, cached: boolean }>}
+ */
+async function getEntitlement(stripe, query) {
+  const email = normalizeEmail(query.email);
+  const customerIds = query.customerId ? [query.customerId] : await findCustomerIds(stripe, query.email);
+  const records = [];
+  let cached = true;
+  for (const customerId of customerIds) {
+    const result = await getCustomerRecord(stripe, customerId);
+    if (!result.cached) cached = false;
+    if (result.record) records.push(result.record);
+  }
+  const items = records.flatMap((r) => Object.values(r.items).map((item) => Object.assign({ customerId: r.customerId }, item)));
+  const best = pickBest(items);
+  const member = Boolean(best && (best.lifetime || ENTITLED_STATUSES.includes(best.status)));
+  const owner = best ? records.find((r) => r.customerId === best.customerId) : records[0];
+  return {
+    member,
+    email: owner?.email || email || null,
+    customer_id: owner?.customerId || null,
+    subscription_id: best && !best.lifetime ? best.id : null,
+    plan: best?.plan || null,
+    status: best?.status || null,
+    lifetime: Boolean(best?.lifetime),
+    trial_end: isoFromUnix(best?.trialEnd),
+    current_period_end: isoFromUnix(best?.currentPeriodEnd),
+    cancel_at_period_end: Boolean(best?.cancelAtPeriodEnd),
+    cached,
+  };
+}
+
+module.exports = { isEnabled, getApiKeys, recordSubscription, recordLifetimePurchase, getEntitlement };
@@ -0,0 +1,279 @@
+/**
+ * Gift memberships: a one-time payment for a giftable plan (`giftable` in config/plans.json) bought for someone else.
+ *
+ * Checkout (gift: true) takes the recipient's email, an optional message and an optional delivery date, stored in
+ * session metadata (gift, gift_recipient_email, gift_message, gift_deliver_on, gift_period). When the payment
+ * completes, the webhook creates the buyer's Shopify order as for any checkout, plus a gift with a redeem code in
+ * the 'gifts' store:
+ *   code:<code>   → { code, sessionId, plan, period, buyerEmail, buyerName, recipientEmail, message, deliverOn,
+ *                     deliverAt, redeemUrl, currency, status: 'pending'|'sent'|'redeemed', sentAt, redeemedAt,
+ *                     redeemedBy, customerId, subscriptionId, createdAt }
+ *   session:<id>  → code
+ * The code is emailed to the recipient by the outbox action gift.deliver, scheduled for 00:00 UTC on the delivery
+ * date (or sent right away). Redeeming it (/api/redeem-gift) creates the recipient's Stripe subscription for the
+ * plan with the gift period as a free trial. Without a card it cancels when the gift runs out; with one it renews
+ * as a normal membership. The Shopify order and Loop subscription follow as for any new member.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const plans = require('./plans');
+const entitlements = require('./entitlements');
+const { sendMail } = require('./mailer');
+
+// Codes outlive a delivery date up to a year out plus a year to redeem.
+const GIFT_TTL_SECONDS = 3 * 365 * 24 * 60 * 60;
+const LOCK_TTL_SECONDS = 60;
+const MESSAGE_MAX = 300;
+const MAX_DELIVERY_DAYS = 365;
+// No 0/O or 1/I, so codes survive being read out or retyped.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function store() {
+  return getStore('gifts');
+}
+
+function isGiftSession(session) {
+  return session?.metadata?.gift === 'true';
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  const groups = chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g'));
+  return `GIFT-${groups.join('-')}`;
+}
+
+/**
+ * Canonical form of a typed code ("gift xxxx xxxx xxxx", lower case, missing dashes), or null.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeCode(value) {
+  const chars = String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^GIFT/, '');
+  if (chars.length !== CODE_GROUPS * CODE_GROUP_LENGTH) return null;
+  if ([...chars].some((c) => !CODE_ALPHABET.includes(c))) return null;
+  return `GIFT-${chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-')}`;
+}
+
+/**
+ * Validate the gift fields of a checkout request.
+ * @param {object} body - { recipient_email, gift_message?, gift_deliver_on? (YYYY-MM-DD) }
+ * @returns {{ recipientEmail: string, message: string, deliverOn: string|null }|{ error: string, field: string }}
+ */
+function parseGiftRequest(body) {
+  const recipientEmail = typeof body.recipient_email === 'string' ? body.recipient_email.trim() : '';
+  if (!recipientEmail || recipientEmail.length > 254 || !EMAIL_PATTERN.test(recipientEmail)) {
+    return { error: "Please enter the recipient's email address.", field: 'recipient_email' };
+  }
+  const message = typeof body.gift_message === 'string' ? body.gift_message.trim() : '';
+  if (message.length > MESSAGE_MAX) {
+    return { error: `Please keep the message under ${MESSAGE_MAX} characters.`, field: 'gift_message' };
+  }
+  const deliverOn = typeof body.gift_deliver_on === 'string' ? body.gift_deliver_on.trim() : '';
+  if (deliverOn) {
+    const at = new Date(`${deliverOn}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(deliverOn) || Number.isNaN(at.getTime()) || at.toISOString().slice(0, 10) !== deliverOn) {
+      return { error: 'Please choose a valid delivery date.', field: 'gift_deliver_on' };
+    }
+    if (at.getTime() - Date.now() > MAX_DELIVERY_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: 'Please choose a delivery date within the next year.', field: 'gift_deliver_on' };
+    }
+  }
+  return { recipientEmail, message, deliverOn: deliverOn || null };
+}
+
+/** When to email the code: 00:00 UTC on the delivery date, or null for right away (no date, or already past). */
+function deliverAt(deliverOn) {
+  if (!deliverOn) return null;
+  const at = Date.parse(`${deliverOn}T00:00:00Z`);
+  return Number.isFinite(at) && at > Date.now() ? new Date(at).toISOString() : null;
+}
+
+/** "1 year" → end of the gift period from `from`, in unix seconds. */
+function periodEnd(period, from = new Date()) {
+  const [, count, interval] = /^(\d+) (day|week|month|year)$/.exec(period || '') || [null, '1', 'year'];
+  const n = Number(count);
+  const end = new Date(from);
+  if (interval === 'year') end.setUTCFullYear(end.getUTCFullYear() + n);
+  else if (interval === 'month') end.setUTCMonth(end.getUTCMonth() + n);
+  else end.setUTCDate(end.getUTCDate() + n * (interval === 'week' ? 7 : 1));
+  return Math.floor(end.getTime() / 1000);
+}
+
+function redeemUrl(session, code) {
+  try {
+    return `${new URL(session.return_url).origin}/?redeem=${encodeURIComponent(code)}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the gift for a completed gift checkout session. Safe to call again for the same session (Stripe
+ * redelivery): the existing gift is returned.
+ * @param {object} session - Completed checkout session with gift metadata
+ * @returns {Promise<{ gift: object, created: boolean }>}
+ */
+async function createGift(session) {
+  const existingCode = await store().get(`session:${session.id}`);
+  if (existingCode) {
+    const existing = await store().get(`code:${existingCode}`);
+    if (existing) return { gift: existing, created: false };
+  }
+  const meta = session.metadata || {};
+  const gift = {
+    sessionId: session.id,
+    plan: meta.plan || null,
+    period: meta.gift_period || '1 year',
+    buyerEmail: session.customer_details?.email || session.customer_email || null,
+    buyerName: session.customer_details?.name || meta.customer_first_name || null,
+    recipientEmail: meta.gift_recipient_email,
+    message: meta.gift_message || '',
+    deliverOn: meta.gift_deliver_on || null,
+    deliverAt: deliverAt(meta.gift_deliver_on),
+    currency: session.currency || null,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  };
+  // Codes are random; a collision just draws again.
+  for (let attempt = 0; !gift.code; attempt += 1) {
+    if (attempt >= 5) throw new Error('Gifts: could not allocate a unique code');
+    const code = generateCode();
+    const record = Object.assign({}, gift, { code, redeemUrl: redeemUrl(session, code) });
+    if (await store().setIfAbsent(`code:${code}`, record, { ttlSeconds: GIFT_TTL_SECONDS })) Object.assign(gift, record);
+  }
+  await store().set(`session:${session.id}`, gift.code, { ttlSeconds: GIFT_TTL_SECONDS });
+  console.log('Gifts: created', gift.code, 'for session', session.id, 'deliver', gift.deliverAt || 'now');
+  return { gift, created: true };
+}
+
+/**
+ * @param {string} code - As typed; normalised here
+ * @returns {Promise<object|null>}
+ */
+async function getGift(code) {
+  const normalized = normalizeCode(code);
+  return normalized ? store().get(`code:${normalized}`) : null;
+}
+
+/**
+ * Email the code to the recipient (outbox action gift.deliver). Throws on failure so the outbox retries it;
+ * redeemed or already sent gifts are skipped.
+ * @param {string} code
+ * @returns {Promise<{ sent: boolean }|{ skipped: string }>}
+ */
+async function deliverGift(code) {
+  const gift = await getGift(code);
+  if (!gift) throw new Error(`Gift ${code} not found`);
+  if (gift.status !== 'pending') return { skipped: gift.status };
+  const label = plans.getPlan(gift.plan)?.label;
+  const from = gift.buyerName || 'Someone';
+  const lines = [`${from} has given you ${label ? `a ${label} membership` : 'a membership'}.`];
+  if (gift.message) lines.push('', `"${gift.message}"`);
+  lines.push('', `Your gift code: ${gift.code}`);
+  if (gift.redeemUrl) lines.push('', `Redeem it here: ${gift.redeemUrl}`);
+  lines.push('', 'Your membership starts when you redeem the code. No payment details are needed.');
+  await sendMail({ to: gift.recipientEmail, subject: `${from} sent you a gift membership`, text: lines.join('\n') });
+  gift.status = 'sent';
+  gift.sentAt = new Date().toISOString();
+  await store().set(`code:${gift.code}`, gift, { ttlSeconds: GIFT_TTL_SECONDS });
+  console.log('Gifts: delivered', gift.code);
+  return { sent: true };
+}
+
+function alreadyRedeemed() {
+  return { ok: false, status: 409, code: 'already_redeemed', error: 'This gift code has already been redeemed.' };
+}
+
+/**
+ * Redeem a gift for an email: find or create the Stripe customer and start the plan's subscription with the gift
+ * period as a trial that cancels at the end unless a card is added. Stripe calls use idempotency keys, so a retry
+ * after a failure part-way doesn't create a second subscription.
+ * @param {import('stripe').Stripe} stripe
+ * @param {string} rawCode
+ * @param {string} email
+ * @returns {Promise<{ ok: true, gift: object, subscription: object }|{ ok: false, status: number, code: string, error: string }>}
+ */
+async function redeemGift(stripe, rawCode, email) {
+  const found = await getGift(rawCode);
+  if (!found) return { ok: false, status: 400, code: 'invalid_code', error: 'That gift code is not valid.' };
+  if (found.status === 'redeemed') return alreadyRedeemed();
+
+  const lockKey = `lock:${found.code}`;
+  if (!(await store().setIfAbsent(lockKey, true, { ttlSeconds: LOCK_TTL_SECONDS }))) {
+    return { ok: false, status: 409, code: 'in_progress', error: 'This gift code is being redeemed. Please try again shortly.' };
+  }
+  try {
+    // Read it again under the lock: another request may have redeemed it since the read above.
+    const gift = await getGift(found.code);
+    if (!gift) return { ok: false, status: 400, code: 'invalid_code', error: 'That gift code is not valid.' };
+    if (gift.status === 'redeemed') return alreadyRedeemed();
+    const plan = plans.getPlan(gift.plan);
+    if (!plan?.stripePriceId) throw new Error(`Gifts: no Stripe price for plan ${gift.plan}`);
+    const entitlement = await entitlements.getEntitlement(stripe, { email });
+    if (entitlement.member) {
+      return {
+        ok: false,
+        status: 409,
+        code: 'already_member',
+        error: 'This email already has a membership. Use another email, or contact support to add the gift to it.',
+      };
+    }
+    const emailKey = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16);
+    const customers = await stripe.customers.list({ email, limit: 1 });
+    const customer =
+      customers.data[0] ||
+      (await stripe.customers.create(
+        { email, metadata: { gift_code: gift.code } },
+        { idempotencyKey: `gift-customer-${gift.code}-${emailKey}` }
+      ));
+    const trialEnd = periodEnd(gift.period);
+    const trialDays = Math.round((trialEnd - Date.now() / 1000) / (24 * 60 * 60));
+    const subscription = await stripe.subscriptions.create(
+      {
+        customer: customer.id,
+        items: [{ price: plan.stripePriceId }],
+        trial_end: trialEnd,
+        trial_settings: { end_behavior: { missing_payment_method: 'cancel' } },
+        metadata: {
+          plan: plan.key,
+          product_id: plan.shopifyProductId || '',
+          variant_id: plan.shopifyVariantId || '',
+          gift_code: gift.code,
+          trial_days: String(trialDays),
+          trial_source: 'gift',
+        },
+      },
+      { idempotencyKey: `gift-redeem-${gift.code}-${customer.id}` }
+    );
+    Object.assign(gift, {
+      status: 'redeemed',
+      redeemedAt: new Date().toISOString(),
+      redeemedBy: email,
+      customerId: customer.id,
+      subscriptionId: subscription.id,
+    });
+    await store().set(`code:${gift.code}`, gift, { ttlSeconds: GIFT_TTL_SECONDS });
+    console.log('Gifts: redeemed', gift.code, 'subscription', subscription.id);
+    return { ok: true, gift, subscription };
+  } finally {
+    await store().delete(lockKey).catch(() => {});
+  }
+}
+
+module.exports = {
+  isGiftSession,
+  normalizeCode,
+  parseGiftRequest,
+  createGift,
+  getGift,
+  deliverGift,
+  redeemGift,
+};
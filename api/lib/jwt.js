@@ -0,0 +1,85 @@
+/**
+ * Minimal JWT (JWS compact) signing and verification with Node's crypto — no dependency.
+ * Algorithms: HS256 (shared secret), RS256 (RSA private key PEM), ES256 (P-256 EC private key PEM).
+ * Verification takes the secret or the public key PEM.
+ */
+
+const crypto = require('crypto');
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Pick the algorithm for a key: PEM keys by type (RSA → RS256, EC → ES256), anything else is an HS256 secret.
+ * @param {string} key
+ * @returns {'HS256'|'RS256'|'ES256'}
+ */
+function algorithmFor(key) {
+  if (!/-----BEGIN [A-Z ]*KEY-----/.test(key)) return 'HS256';
+  const type = crypto.createPublicKey(key).asymmetricKeyType;
+  if (type === 'rsa') return 'RS256';
+  if (type === 'ec') return 'ES256';
+  throw new Error(`Unsupported JWT key type: ${type}`);
+}
+
+function signature(alg, key, input) {
+  if (alg === 'HS256') return crypto.createHmac('sha256', key).update(input).digest();
+  if (alg === 'RS256') return crypto.sign('sha256', Buffer.from(input), key);
+  return crypto.sign('sha256', Buffer.from(input), { key, dsaEncoding: 'ieee-p1363' });
+}
+
+/**
+ * Sign claims. `iat` and (with ttlSeconds) `exp` are added.
+ * @param {object} claims
+ * @param {string} key - HS256 secret or RSA/EC private key PEM
+ * @param {{ ttlSeconds?: number, keyId?: string }} [options]
+ * @returns {string}
+ */
+function signJwt(claims, key, options = {}) {
+  const alg = algorithmFor(key);
+  const header = { alg, typ: 'JWT' };
+  if (options.keyId) header.kid = options.keyId;
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = Object.assign({ iat }, options.ttlSeconds ? { exp: iat + options.ttlSeconds } : {}, claims);
+  const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  return `${input}.${signature(alg, key, input).toString('base64url')}`;
+}
+
+/**
+ * Verify a token's signature and expiry. Returns the claims, or null if the token is malformed, signed with
+ * another key/algorithm, or expired.
+ * @param {string} token
+ * @param {string} key - HS256 secret, or the RSA/EC public (or private) key PEM
+ * @returns {object|null}
+ */
+function verifyJwt(token, key) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  const alg = algorithmFor(key);
+  if (header.alg !== alg) return null;
+  const input = `${parts[0]}.${parts[1]}`;
+  const sig = Buffer.from(parts[2], 'base64url');
+  let valid;
+  if (alg === 'HS256') {
+    const expected = signature(alg, key, input);
+    valid = sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+  } else {
+    const verifyKey = crypto.createPublicKey(key);
+    const keyOptions = alg === 'ES256' ? { key: verifyKey, dsaEncoding: 'ieee-p1363' } : verifyKey;
+    valid = crypto.verify('sha256', Buffer.from(input), keyOptions, sig);
+  }
+  if (!valid) return null;
+  if (payload.exp != null && payload.exp <= Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+module.exports = { signJwt, verifyJwt };
@@ -1,9 +1,21 @@
 /**
- * Loop subscription sync: create timeless subscription on Stripe purchase, cancel on Stripe cancel.
+ * Loop subscription sync: create timeless subscription on Stripe purchase, cancel on Stripe cancel,
+ * pause/resume while a Stripe payment is past due, swap the plan line when the Stripe plan changes.
  * All logic is no-op when LOOP_SYNC_ENABLED is not truthy (easy to turn off in Vercel env).
+ * Each Loop request times out after LOOP_TIMEOUT_MS (default 10000); callers get a failed result and retry later.
  */
 
+const plans = require('./plans');
+
 const LOOP_BASE = process.env.LOOP_API_BASE_URL || 'https://api.loopsubscriptions.com/admin/2023-10';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Subscription states each action applies to, and the states that mean it's already done.
+const ACTIONS = {
+  cancel: { from: ['active', 'paused'], done: ['cancelled', 'canceled', 'expired'] },
+  pause: { from: ['active'], done: ['paused'] },
+  resume: { from: ['paused'], done: ['active'] },
+};
 
 function isEnabled() {
   const v = process.env.LOOP_SYNC_ENABLED;
@@ -16,14 +28,39 @@ function getAuthHeader() {
   return { 'x-loop-token': token };
 }
 
+function timeoutMs() {
+  const n = parseInt(process.env.LOOP_TIMEOUT_MS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+/** fetch a Loop API path with the request timeout. */
+function loopFetch(path, options = {}) {
+  return fetch(`${LOOP_BASE}${path}`, { ...options, signal: AbortSignal.timeout(timeoutMs()) });
+}
+
+/**
+ * Loop line for a plan: the plan's loopVariantId / loopSellingPlanId from the catalog, else LOOP_VARIANT_ID /
+ * LOOP_SELLING_PLAN_ID (one Loop product for every plan).
+ * @param {string} [plan] - Plan key
+ * @returns {{ variantId: string|null, sellingPlanId: string|null }}
+ */
+function getLoopLine(plan) {
+  const planConfig = plans.getPlan(plan);
+  return {
+    variantId:
+      planConfig?.loopVariantId || process.env.LOOP_VARIANT_ID || process.env.LOOP_PRODUCT_VARIANT_ID || null,
+    sellingPlanId: planConfig?.loopSellingPlanId || process.env.LOOP_SELLING_PLAN_ID || null,
+  };
+}
+
 /**
  * Create a Loop subscription for the given Shopify customer (timeless plan, no charge).
  * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
  * @param {string} email - Customer email (for logging)
- * @param {string} [plan] - Plan name (yearly/monthly) for reference
+ * @param {string} [plan] - Plan key (yearly/monthly); picks the Loop variant and selling plan (see getLoopLine)
  * @param {string|number} shopifyCustomerId - Shopify customer ID (required by Loop API)
  * @param {string|number} [originOrderShopifyId] - Shopify order ID that originated this subscription (required by Loop when no payment method)
- * @returns {Promise<{ ok: boolean, error?: string }>}
+ * @returns {Promise<{ ok: boolean, error?: string, subscriptionId?: string }>} - subscriptionId is Loop's ID for the new subscription
  */
 async function createSubscription(email, plan, shopifyCustomerId, originOrderShopifyId) {
   if (!isEnabled()) return { ok: true };
@@ -44,12 +81,11 @@ async function createSubscription(email, plan, shopifyCustomerId, originOrderSho
     console.warn('Loop: LOOP_API_TOKEN not set, skipping create');
     return { ok: false, error: 'No token' };
   }
-  const sellingPlanId = process.env.LOOP_SELLING_PLAN_ID;
+  const { variantId, sellingPlanId } = getLoopLine(plan);
   if (!sellingPlanId) {
     console.warn('Loop: LOOP_SELLING_PLAN_ID not set, skipping create');
     return { ok: false, error: 'No selling plan ID' };
   }
-  const variantId = process.env.LOOP_VARIANT_ID || process.env.LOOP_PRODUCT_VARIANT_ID;
   if (!variantId) {
     console.warn('Loop: LOOP_VARIANT_ID not set, skipping create');
     return { ok: false, error: 'No variant ID' };
@@ -118,7 +154,7 @@ async function createSubscription(email, plan, shopifyCustomerId, originOrderSho
         lineCount: body.lines.length,
       });
     }
-    const res = await fetch(`${LOOP_BASE}/subscription`, {
+    const res = await loopFetch('/subscription', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -131,7 +167,15 @@ async function createSubscription(email, plan, shopifyCustomerId, originOrderSho
       console.error('Loop createSubscription failed', res.status, text);
       return { ok: false, error: text };
     }
-    return { ok: true };
+    // Keep Loop's ID so later cancels/pauses target this subscription instead of searching by email.
+    let created = null;
+    try {
+      created = JSON.parse(text);
+    } catch {
+      created = null;
+    }
+    const subscriptionId = created?.data?.id ?? created?.id ?? created?.subscription?.id ?? null;
+    return { ok: true, subscriptionId: subscriptionId != null ? String(subscriptionId) : undefined };
   } catch (err) {
     console.error('Loop createSubscription error', err.message);
     return { ok: false, error: err.message };
@@ -139,56 +183,292 @@ async function createSubscription(email, plan, shopifyCustomerId, originOrderSho
 }
 
 /**
- * Cancel Loop subscription(s) for the given customer email.
- * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
- * @param {string} email - Customer email
+ * Loop subscriptions for a customer email, as { id, status } (status lowercased, null when the response only lists
+ * IDs), or null when the lookup fails.
+ * Adjust URL and response path to match your Loop API (see help.loopwork.co).
+ */
+async function findSubscriptions(email, token) {
+  const customerRes = await loopFetch(`/customers?email=${encodeURIComponent(email.trim())}`, { headers: token });
+  // No Loop customer for the email yet: no subscriptions.
+  if (customerRes.status === 404) return [];
+  if (!customerRes.ok) {
+    console.error('Loop: customer lookup failed', customerRes.status, await customerRes.text());
+    return null;
+  }
+  const customerData = await customerRes.json();
+  // Support common shapes: { subscriptions: [{ id }] }, { subscription_ids: [] }, or nested
+  const raw = customerData.subscriptions ?? customerData.subscription_ids ?? customerData.data?.subscriptions ?? [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list
+    .map((s) => (typeof s === 'object' && s != null ? { id: s.id, status: s.status ?? null } : { id: s, status: null }))
+    .filter((s) => s.id)
+    .map((s) => ({ id: String(s.id), status: s.status != null ? String(s.status).toLowerCase() : null }));
+}
+
+function hasEmail(email) {
+  return Boolean(email && typeof email === 'string' && email.trim());
+}
+
+/**
+ * The Loop subscription(s) to act on: the known subscription ID (stored on the Stripe subscription) when given,
+ * otherwise the subscriptions found for the email, limited to those in one of `statuses` when given (a status the
+ * lookup doesn't report counts as a match). Null when the email lookup fails.
+ */
+async function resolveSubscriptionIds(email, subscriptionId, token, statuses) {
+  if (subscriptionId) return [String(subscriptionId)];
+  const found = await findSubscriptions(email, token);
+  if (!found) return null;
+  return found.filter((s) => !statuses || !s.status || statuses.includes(s.status)).map((s) => s.id);
+}
+
+/**
+ * Whether a rejected action was already done, e.g. cancelling a cancelled subscription: Loop says so in the error,
+ * or the subscription is already in the action's end state.
+ */
+async function isAlreadyDone(subId, action, token, status, text) {
+  if (status < 400 || status >= 500) return false;
+  if (/already/i.test(text)) return true;
+  const subRes = await loopFetch(`/subscriptions/${subId}`, { headers: token });
+  if (!subRes.ok) return false;
+  const subData = await subRes.json();
+  const current = String(subData.status ?? subData.data?.status ?? '').toLowerCase();
+  return ACTIONS[action].done.includes(current);
+}
+
+/**
+ * Run a subscription action (cancel, pause, resume) on the given Loop subscription, or on the email's Loop
+ * subscriptions the action applies to (e.g. active or paused ones for cancel) when its ID isn't known. A subscription
+ * that is already cancelled/paused/active counts as done. Logs errors; does not throw.
+ * @param {string} email - Customer email (fallback lookup)
+ * @param {'cancel'|'pause'|'resume'} action - Loop subscription endpoint suffix
+ * @param {string} [subscriptionId] - Loop subscription ID
  * @returns {Promise<{ ok: boolean, error?: string }>}
  */
-async function cancelSubscription(email) {
-  if (!isEnabled()) return { ok: true };
-  if (!email || typeof email !== 'string' || !email.trim()) {
-    console.warn('Loop: cancelSubscription skipped, no email');
+async function applyToSubscriptions(email, action, subscriptionId) {
+  if (!subscriptionId && !hasEmail(email)) {
+    console.warn(`Loop: ${action} skipped, no email`);
     return { ok: false, error: 'No email' };
   }
   const token = getAuthHeader();
   if (!token) {
-    console.warn('Loop: LOOP_API_TOKEN not set, skipping cancel');
+    console.warn(`Loop: LOOP_API_TOKEN not set, skipping ${action}`);
     return { ok: false, error: 'No token' };
   }
   try {
-    // Loop: read customer by email to get subscription ID(s), then cancel each.
-    // Adjust URL and response path to match your Loop API (see help.loopwork.co).
-    const customerRes = await fetch(
-      `${LOOP_BASE}/customers?email=${encodeURIComponent(email.trim())}`,
-      { headers: token }
-    );
-    if (!customerRes.ok) {
-      console.error('Loop cancelSubscription: customer lookup failed', customerRes.status, await customerRes.text());
-      return { ok: false, error: 'Customer lookup failed' };
-    }
-    const customerData = await customerRes.json();
-    // Support common shapes: { subscriptions: [{ id }] }, { subscription_ids: [] }, or nested
-    const raw = customerData.subscriptions ?? customerData.subscription_ids ?? customerData.data?.subscriptions ?? [];
-    const list = Array.isArray(raw) ? raw : [raw];
-    const subscriptionIds = list.map((s) => (typeof s === 'object' && s != null ? s.id : s)).filter(Boolean);
+    const subscriptionIds = await resolveSubscriptionIds(email, subscriptionId, token, ACTIONS[action].from);
+    if (!subscriptionIds) return { ok: false, error: 'Customer lookup failed' };
     if (subscriptionIds.length === 0) {
       return { ok: true };
     }
+    const failed = [];
     for (const subId of subscriptionIds) {
-      const cancelRes = await fetch(`${LOOP_BASE}/subscriptions/${subId}/cancel`, {
+      const actionRes = await loopFetch(`/subscriptions/${subId}/${action}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', ...token },
         body: JSON.stringify({}),
       });
-      if (!cancelRes.ok) {
-        console.error('Loop cancelSubscription: cancel failed', subId, cancelRes.status, await cancelRes.text());
+      if (!actionRes.ok) {
+        const text = await actionRes.text();
+        if (await isAlreadyDone(subId, action, token, actionRes.status, text)) {
+          console.log(`Loop ${action}: subscription already in that state`, subId);
+          continue;
+        }
+        console.error(`Loop ${action}: request failed`, subId, actionRes.status, text);
+        failed.push(subId);
+      }
+    }
+    if (failed.length > 0) {
+      return { ok: false, error: `${action} failed for subscription(s) ${failed.join(', ')}` };
+    }
+    return { ok: true };
+  } catch (err) {
+    console.error(`Loop ${action} error`, err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Cancel Loop subscription(s) for the given customer email.
+ * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
+ * @param {string} email - Customer email (used to find subscriptions when no subscriptionId is given)
+ * @param {{ subscriptionId?: string }} [options] - Known Loop subscription ID
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+async function cancelSubscription(email, options = {}) {
+  if (!isEnabled()) return { ok: true };
+  return applyToSubscriptions(email, 'cancel', options.subscriptionId);
+}
+
+/**
+ * Pause Loop subscription(s) for the given customer email (e.g. while a Stripe payment is past due).
+ * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
+ * @param {string} email - Customer email (used to find subscriptions when no subscriptionId is given)
+ * @param {{ subscriptionId?: string }} [options] - Known Loop subscription ID
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+async function pauseSubscription(email, options = {}) {
+  if (!isEnabled()) return { ok: true };
+  return applyToSubscriptions(email, 'pause', options.subscriptionId);
+}
+
+/**
+ * Resume paused Loop subscription(s) for the given customer email.
+ * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
+ * @param {string} email - Customer email (used to find subscriptions when no subscriptionId is given)
+ * @param {{ subscriptionId?: string }} [options] - Known Loop subscription ID
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+async function resumeSubscription(email, options = {}) {
+  if (!isEnabled()) return { ok: true };
+  return applyToSubscriptions(email, 'resume', options.subscriptionId);
+}
+
+/**
+ * Current status of the customer's Loop subscription(s) (e.g. 'active', 'paused', 'cancelled'), for reconciliation.
+ * Looks up the stored Loop subscription ID when given, otherwise every subscription for the email.
+ * Works even when LOOP_SYNC_ENABLED is off (read-only). Logs errors; does not throw.
+ * @param {string} email - Customer email (used when no subscriptionId is given)
+ * @param {{ subscriptionId?: string }} [options] - Known Loop subscription ID
+ * @returns {Promise<{ ok: boolean, subscriptions?: Array<{ id: string, status: string }>, error?: string }>}
+ */
+async function getSubscriptionStatuses(email, options = {}) {
+  if (!options.subscriptionId && !hasEmail(email)) return { ok: false, error: 'No email' };
+  const token = getAuthHeader();
+  if (!token) return { ok: false, error: 'No token' };
+  try {
+    const subscriptionIds = await resolveSubscriptionIds(email, options.subscriptionId, token);
+    if (!subscriptionIds) return { ok: false, error: 'Customer lookup failed' };
+    const subscriptions = [];
+    for (const subId of subscriptionIds) {
+      // Adjust URL and response path to match your Loop API (see help.loopwork.co).
+      const subRes = await loopFetch(`/subscriptions/${subId}`, { headers: token });
+      if (subRes.status === 404) continue;
+      if (!subRes.ok) {
+        console.error('Loop getSubscriptionStatuses: lookup failed', subId, subRes.status, await subRes.text());
+        return { ok: false, error: `Lookup failed for subscription ${subId}` };
       }
+      const subData = await subRes.json();
+      const status = subData.status ?? subData.data?.status ?? 'unknown';
+      subscriptions.push({ id: String(subId), status: String(status).toLowerCase() });
+    }
+    return { ok: true, subscriptions };
+  } catch (err) {
+    console.error('Loop getSubscriptionStatuses error', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Find the Loop subscription an earlier create made for a Shopify order (its originOrderShopifyId), so a retried
+ * create doesn't make a second one. Checks the subscriptions found for the email.
+ * Returns ok with no subscriptionId when Loop sync is off or there is none. Logs errors; does not throw.
+ * @param {string} email - Customer email
+ * @param {string|number} originOrderShopifyId - Shopify order ID the subscription was created from
+ * @returns {Promise<{ ok: boolean, subscriptionId?: string, error?: string }>}
+ */
+async function findSubscriptionForOrder(email, originOrderShopifyId) {
+  if (!isEnabled()) return { ok: true };
+  if (!hasEmail(email) || !originOrderShopifyId) return { ok: true };
+  const token = getAuthHeader();
+  if (!token) return { ok: false, error: 'No token' };
+  try {
+    const subscriptions = await findSubscriptions(email, token);
+    if (!subscriptions) return { ok: false, error: 'Customer lookup failed' };
+    for (const { id } of subscriptions) {
+      // Adjust URL and response path to match your Loop API (see help.loopwork.co).
+      const subRes = await loopFetch(`/subscriptions/${id}`, { headers: token });
+      if (subRes.status === 404) continue;
+      if (!subRes.ok) {
+        console.error('Loop findSubscriptionForOrder: lookup failed', id, subRes.status, await subRes.text());
+        return { ok: false, error: `Lookup failed for subscription ${id}` };
+      }
+      const subData = await subRes.json();
+      const origin = subData.originOrderShopifyId ?? subData.data?.originOrderShopifyId ?? null;
+      if (origin != null && String(origin) === String(originOrderShopifyId)) return { ok: true, subscriptionId: id };
     }
     return { ok: true };
   } catch (err) {
-    console.error('Loop cancelSubscription error', err.message);
+    console.error('Loop findSubscriptionForOrder error', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Swap the line on the customer's Loop subscription(s) to the given plan's Loop variant and selling plan
+ * (after a plan change in Stripe). Lines already on that variant are left alone, so it's safe to repeat.
+ * No-op if LOOP_SYNC_ENABLED is not set. Logs errors; does not throw.
+ * @param {string} email - Customer email (used to find subscriptions when no subscriptionId is given)
+ * @param {string} plan - New plan key
+ * @param {{ subscriptionId?: string }} [options] - Known Loop subscription ID
+ * @returns {Promise<{ ok: boolean, updated?: number, error?: string }>}
+ */
+async function updateSubscriptionPlan(email, plan, options = {}) {
+  if (!isEnabled()) return { ok: true };
+  if (!options.subscriptionId && !hasEmail(email)) {
+    console.warn('Loop: updateSubscriptionPlan skipped, no email');
+    return { ok: false, error: 'No email' };
+  }
+  const token = getAuthHeader();
+  if (!token) {
+    console.warn('Loop: LOOP_API_TOKEN not set, skipping plan update');
+    return { ok: false, error: 'No token' };
+  }
+  const { variantId, sellingPlanId } = getLoopLine(plan);
+  if (!variantId || !sellingPlanId) {
+    console.warn('Loop: no variant or selling plan for plan', plan, 'skipping plan update');
+    return { ok: false, error: 'No Loop variant or selling plan for plan' };
+  }
+  try {
+    const subscriptionIds = await resolveSubscriptionIds(email, options.subscriptionId, token);
+    if (!subscriptionIds) return { ok: false, error: 'Customer lookup failed' };
+    let updated = 0;
+    const failed = [];
+    for (const subId of subscriptionIds) {
+      // Adjust URL and response path to match your Loop API (see help.loopwork.co).
+      const subRes = await loopFetch(`/subscriptions/${subId}`, { headers: token });
+      if (!subRes.ok) {
+        console.error('Loop updateSubscriptionPlan: subscription lookup failed', subId, subRes.status, await subRes.text());
+        failed.push(subId);
+        continue;
+      }
+      const subData = await subRes.json();
+      const lines = subData.lines ?? subData.data?.lines ?? [];
+      for (const line of lines) {
+        if (String(line.variantShopifyId) === String(variantId)) continue;
+        const swapRes = await loopFetch(`/subscriptions/${subId}/lines/${line.id}/swap`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...token },
+          body: JSON.stringify({
+            variantShopifyId: Number(variantId),
+            sellingPlanShopifyId: Number(sellingPlanId),
+            quantity: line.quantity || 1,
+          }),
+        });
+        if (!swapRes.ok) {
+          console.error('Loop updateSubscriptionPlan: swap failed', subId, line.id, swapRes.status, await swapRes.text());
+          failed.push(subId);
+        } else {
+          updated += 1;
+        }
+      }
+    }
+    if (failed.length > 0) {
+      return { ok: false, error: `Plan update failed for subscription(s) ${failed.join(', ')}` };
+    }
+    return { ok: true, updated };
+  } catch (err) {
+    console.error('Loop updateSubscriptionPlan error', err.message);
     return { ok: false, error: err.message };
   }
 }
 
-module.exports = { createSubscription, cancelSubscription, isEnabled };
+module.exports = {
+  createSubscription,
+  findSubscriptionForOrder,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  updateSubscriptionPlan,
+  getSubscriptionStatuses,
+  isEnabled,
+};
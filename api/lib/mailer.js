@@ -0,0 +1,94 @@
+/**
+ * Pluggable transactional email (portal magic links and other customer emails).
+ *
+ * Backend is chosen with MAILER:
+ *   - "resend"  — Resend's HTTP API. Needs RESEND_API_KEY.
+ *   - "file"    — writes each message as JSON to MAILER_FILE_DIR (default: OS temp dir). Useful for local runs.
+ *   - "console" — logs the message (default). Nothing is delivered, so set a real backend in production.
+ * setMailer() installs a custom mailer (another provider, or a stub in tests).
+ *
+ * Every mailer exposes send({ to, subject, text, html? }) → Promise<{ id?: string }> and throws on failure.
+ * The sender is MAIL_FROM (e.g. `Transform <hello@example.com>`).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+let customMailer = null;
+
+function fromAddress() {
+  return process.env.MAIL_FROM || 'no-reply@example.com';
+}
+
+const consoleMailer = {
+  name: 'console',
+  async send(message) {
+    console.log('Mailer: (console)', JSON.stringify({ from: fromAddress(), to: message.to, subject: message.subject }));
+    console.log(message.text);
+    return {};
+  },
+};
+
+const fileMailer = {
+  name: 'file',
+  async send(message) {
+    const dir = process.env.MAILER_FILE_DIR || path.join(os.tmpdir(), 'stripe-checkout-app', 'mail');
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(dir, `${id}.json`);
+    fs.writeFileSync(file, JSON.stringify(Object.assign({ from: fromAddress() }, message), null, 2));
+    console.log('Mailer: wrote', file);
+    return { id };
+  },
+};
+
+const resendMailer = {
+  name: 'resend',
+  async send(message) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) throw new Error('Mailer: RESEND_API_KEY is not set');
+    const res = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        from: fromAddress(),
+        to: [message.to],
+        subject: message.subject,
+        text: message.text,
+        html: message.html || undefined,
+      }),
+      signal: AbortSignal.timeout(10000),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Mailer: Resend failed: ${res.status} ${json.message || ''}`.trim());
+    return { id: json.id };
+  },
+};
+
+const MAILERS = { console: consoleMailer, file: fileMailer, resend: resendMailer };
+
+function getMailer() {
+  if (customMailer) return customMailer;
+  const name = (process.env.MAILER || 'console').trim().toLowerCase();
+  const mailer = MAILERS[name];
+  if (!mailer) throw new Error(`Mailer: unknown MAILER "${name}" (use resend, file or console)`);
+  return mailer;
+}
+
+/** Replace the mailer (null restores the MAILER one). */
+function setMailer(mailer) {
+  customMailer = mailer;
+}
+
+/**
+ * Send one email with the configured mailer.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ * @returns {Promise<{ id?: string }>}
+ */
+function sendMail(message) {
+  return getMailer().send(message);
+}
+
+module.exports = { getMailer, setMailer, sendMail };
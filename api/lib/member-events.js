@@ -0,0 +1,212 @@
+/**
+ * Member lifecycle events for our own services (member app, CRM, ...), delivered by member-webhooks.js through
+ * the outbox (one entry per destination, retried on failure).
+ *
+ * Events: member.created (checkout completed, or gift redeemed), member.renewed (renewal invoice paid), member.plan_changed,
+ * member.past_due (renewal payment failed), member.cancelled.
+ *
+ * Schema (schema_version 1 — fields are only ever added within a version):
+ * {
+ *   id, type, schema_version: 1, created_at,
+ *   data: {
+ *     member: { email, plan, status, stripe_customer_id, stripe_subscription_id, shopify_customer_id, loop_subscription_id },
+ *     ...per-type fields (see the queue* functions)
+ *   }
+ * }
+ * Unknown values are null. Amounts are in cents; times are ISO 8601.
+ */
+
+const crypto = require('crypto');
+const outbox = require('./outbox');
+const plans = require('./plans');
+const memberWebhooks = require('./member-webhooks');
+
+const SCHEMA_VERSION = 1;
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+function isoFromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function shortHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 24);
+}
+
+function buildMember(fields) {
+  return {
+    email: fields.email || null,
+    plan: fields.plan || null,
+    status: fields.status || null,
+    stripe_customer_id: fields.customerId || null,
+    stripe_subscription_id: fields.subscriptionId || null,
+    shopify_customer_id: fields.shopifyCustomerId || null,
+    loop_subscription_id: fields.loopSubscriptionId || null,
+  };
+}
+
+/**
+ * Queue one event for every destination. `key` identifies the occurrence (e.g. the invoice ID), so the event id —
+ * and the outbox entries — are the same when Stripe redelivers.
+ * @param {string} type - e.g. 'member.created'
+ * @param {string} key
+ * @param {{ occurredAt?: number, member: object, details?: object }} content - occurredAt in unix seconds
+ * @returns {Promise<{ id: string }|{ skipped: true }>}
+ */
+async function emit(type, key, content) {
+  if (!memberWebhooks.isEnabled()) return { skipped: true };
+  const event = {
+    id: `mev_${shortHash(`${type}:${key}`)}`,
+    type,
+    schema_version: SCHEMA_VERSION,
+    created_at: isoFromUnix(content.occurredAt) || new Date().toISOString(),
+    data: Object.assign({ member: buildMember(content.member) }, content.details),
+  };
+  for (const url of memberWebhooks.getDestinations()) {
+    await outbox.enqueue('member.webhook', { url, event }, { key: `member_webhook:${event.id}:${shortHash(url)}` });
+  }
+  return { id: event.id };
+}
+
+/**
+ * member.created for a completed checkout session.
+ * data: { member, checkout_session_id, amount_paid, currency, trial_days }
+ */
+function queueCreated(session) {
+  const trialDays = session.metadata?.trial_days != null ? Number(session.metadata.trial_days) || 0 : null;
+  return emit('member.created', session.id, {
+    occurredAt: session.created,
+    member: {
+      email: session.customer_details?.email || session.customer_email,
+      plan: session.metadata?.plan,
+      status: trialDays > 0 ? 'trialing' : 'active',
+      customerId: idOf(session.customer),
+      subscriptionId: idOf(session.subscription),
+    },
+    details: {
+      checkout_session_id: session.id,
+      amount_paid: session.amount_total ?? 0,
+      currency: session.currency || null,
+      trial_days: trialDays,
+    },
+  });
+}
+
+/**
+ * member.created for a redeemed gift (see gifts.js): the recipient's subscription, trialing for the gift period.
+ * data: { member, checkout_session_id (the buyer's), amount_paid: 0, currency, trial_days, gift_code }
+ * @param {object} gift - Redeemed gift
+ * @param {object} subscription - The subscription created on redemption
+ */
+function queueGiftRedeemed(gift, subscription) {
+  return emit('member.created', `gift:${gift.code}`, {
+    occurredAt: Math.floor(Date.parse(gift.redeemedAt) / 1000),
+    member: {
+      email: gift.redeemedBy,
+      plan: gift.plan,
+      status: subscription.status,
+      customerId: gift.customerId,
+      subscriptionId: subscription.id,
+    },
+    details: {
+      checkout_session_id: gift.sessionId,
+      amount_paid: 0,
+      currency: gift.currency || null,
+      trial_days: Number(subscription.metadata?.trial_days) || null,
+      gift_code: gift.code,
+    },
+  });
+}
+
+/**
+ * member.renewed for a paid renewal invoice (including the first charge after a trial).
+ * data: { member, invoice_id, amount_paid, currency, period_start, period_end }
+ */
+function queueRenewed(invoice, subscription) {
+  const metadata = subscription.metadata || {};
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  return emit('member.renewed', invoice.id, {
+    occurredAt: invoice.status_transitions?.paid_at || invoice.created,
+    member: {
+      email: invoice.customer_email,
+      plan: plans.findPlanByPriceId(priceId)?.key || metadata.plan,
+      status: subscription.status,
+      customerId: idOf(invoice.customer),
+      subscriptionId: subscription.id,
+      shopifyCustomerId: metadata.shopify_customer_id,
+      loopSubscriptionId: metadata.loop_subscription_id,
+    },
+    details: {
+      invoice_id: invoice.id,
+      amount_paid: invoice.amount_paid,
+      currency: invoice.currency || null,
+      period_start: isoFromUnix(subscription.current_period_start),
+      period_end: isoFromUnix(subscription.current_period_end),
+    },
+  });
+}
+
+/**
+ * member.plan_changed for a plan switch (e.g. monthly → yearly in the Billing Portal).
+ * data: { member, previous_plan }
+ * @param {object} sub - Stripe subscription after the change
+ * @param {{ fromPlan: string|null, toPlan: string, email: string|null, eventId: string, occurredAt: number }} change
+ */
+function queuePlanChanged(sub, change) {
+  const metadata = sub.metadata || {};
+  return emit('member.plan_changed', change.eventId, {
+    occurredAt: change.occurredAt,
+    member: {
+      email: change.email,
+      plan: change.toPlan,
+      status: sub.status,
+      customerId: idOf(sub.customer),
+      subscriptionId: sub.id,
+      shopifyCustomerId: metadata.shopify_customer_id,
+      loopSubscriptionId: metadata.loop_subscription_id,
+    },
+    details: { previous_plan: change.fromPlan || null },
+  });
+}
+
+/**
+ * member.past_due / member.cancelled from a dunning transition (see dunning.js).
+ * past_due data: { member, invoice_id, amount_due, currency, attempt_count, next_payment_attempt }
+ * cancelled data: { member, previous_status }
+ * @param {'past_due'|'cancelled'} state
+ * @param {object} record - Dunning state record after the transition
+ */
+function queueDunning(state, record) {
+  const member = {
+    email: record.email,
+    plan: record.plan,
+    status: state === 'past_due' ? 'past_due' : 'canceled',
+    customerId: record.customerId,
+    subscriptionId: record.subscriptionId,
+    shopifyCustomerId: record.shopifyCustomerId,
+    loopSubscriptionId: record.loopSubscriptionId,
+  };
+  const occurredAt = Math.floor(new Date(record.since).getTime() / 1000);
+  if (state === 'past_due') {
+    return emit('member.past_due', `${record.subscriptionId}:${record.invoiceId || ''}`, {
+      occurredAt,
+      member,
+      details: {
+        invoice_id: record.invoiceId || null,
+        amount_due: record.amountDue ?? null,
+        currency: record.currency || null,
+        attempt_count: record.attemptCount ?? null,
+        next_payment_attempt: isoFromUnix(record.nextPaymentAttempt),
+      },
+    });
+  }
+  return emit('member.cancelled', record.subscriptionId, {
+    occurredAt,
+    member,
+    details: { previous_status: record.previousState || null },
+  });
+}
+
+module.exports = { emit, queueCreated, queueGiftRedeemed, queueRenewed, queuePlanChanged, queueDunning };
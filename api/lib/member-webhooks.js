@@ -0,0 +1,64 @@
+/**
+ * Outbound member webhooks: deliver signed member.* events (see member-events.js) to the URLs in
+ * MEMBER_WEBHOOK_URLS (comma-separated). Both the URLs and MEMBER_WEBHOOK_SECRET must be set.
+ *
+ * Each request is a JSON POST with:
+ *   X-Member-Event-Id        — the event's id (stable across retries; use it to ignore duplicates)
+ *   X-Member-Event-Type      — e.g. member.created
+ *   X-Member-Signature       — t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with MEMBER_WEBHOOK_SECRET>
+ */
+
+const crypto = require('crypto');
+
+function getDestinations() {
+  return String(process.env.MEMBER_WEBHOOK_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+function isEnabled() {
+  return getDestinations().length > 0 && Boolean(process.env.MEMBER_WEBHOOK_SECRET);
+}
+
+/**
+ * Signature header value for a body, as receivers should recompute it.
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret
+ * @returns {string}
+ */
+function sign(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Deliver one event to one destination. Throws on network errors and non-2xx responses so the outbox retries it.
+ * @param {string} url
+ * @param {{ id: string, type: string } & object} event - From member-events.js
+ * @returns {Promise<{ status: number }>}
+ */
+async function sendMemberWebhook(url, event) {
+  const secret = process.env.MEMBER_WEBHOOK_SECRET;
+  if (!secret) throw new Error('MEMBER_WEBHOOK_SECRET not set');
+  const body = JSON.stringify(event);
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Member-Event-Id': event.id,
+      'X-Member-Event-Type': event.type,
+      'X-Member-Signature': sign(body, Math.floor(Date.now() / 1000), secret),
+    },
+    body,
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Member webhook failed: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return { status: res.status };
+}
+
+module.exports = { getDestinations, isEnabled, sign, sendMemberWebhook };
@@ -0,0 +1,34 @@
+/**
+ * Outbound lifecycle notifications (Slack, Zapier, an internal service, ...).
+ * Each notification is POSTed as JSON to LIFECYCLE_NOTIFY_URL; leave it unset to turn notifications off.
+ * The body carries a human-readable `text` field, so a Slack incoming-webhook URL works as-is.
+ */
+
+function isEnabled() {
+  return Boolean(process.env.LIFECYCLE_NOTIFY_URL);
+}
+
+/**
+ * Send one notification. Throws on network errors and non-2xx responses so the outbox retries it.
+ * @param {{ event: string, text: string } & object} notification - e.g. { event: 'subscription.past_due', text, subscription_id, ... }
+ * @returns {Promise<{ status: number }|{ skipped: true }>}
+ */
+async function sendNotification(notification) {
+  const url = process.env.LIFECYCLE_NOTIFY_URL;
+  if (!url) return { skipped: true };
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LIFECYCLE_NOTIFY_TOKEN) headers.Authorization = `Bearer ${process.env.LIFECYCLE_NOTIFY_TOKEN}`;
+  const res = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Notification failed: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return { status: res.status };
+}
+
+module.exports = { isEnabled, sendNotification };
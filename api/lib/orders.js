@@ -0,0 +1,474 @@
+/**
+ * Shopify order building for Stripe checkout sessions and subscription invoices. Shared by the webhook and the
+ * backfill tool, so a replayed session/invoice produces exactly the order the webhook would have created.
+ *
+ * A built order: { attribute: { name, value }, email, draftOrder, currencyCode, loop: { email, plan }|null,
+ * stripe: { subscriptionId, customerId }|null, customer: object|null } — `attribute` is the note attribute that
+ * identifies the order in Shopify (stripe_session_id / stripe_invoice_id); `customer` is the buyer's details for
+ * the Shopify customer (first orders only).
+ */
+
+const outbox = require('./outbox');
+const loop = require('./loop');
+const plans = require('./plans');
+const addons = require('./addons');
+const processedOrders = require('./processed-orders');
+const tax = require('./tax');
+const { getShopifyConfig, findShopifyOrderByNoteAttribute } = require('./shopify');
+
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+// Invoices that become Shopify orders: renewals and the first charge of a subscription (after the trial).
+const ORDER_BILLING_REASONS = ['subscription_cycle', 'subscription_create'];
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+function defaultPlanKey() {
+  return plans.getDefaultPlan()?.key || 'yearly';
+}
+
+// Numeric Shopify variant ID from metadata or the catalog (plain ID or ProductVariant GID), or null.
+function parseVariantId(value) {
+  const match = /^(?:gid:\/\/shopify\/ProductVariant\/)?(\d+)$/.exec(String(value ?? '').trim());
+  return match ? match[1] : null;
+}
+
+// The plan's `shopifyLineItem` mode picks the order line:
+//   "title" (default) — custom line item named from the catalog (titles.trial / titles.paid), so those exact names
+//     show on the receipt; product_id/variant_id are still in note_attributes.
+//   "variant" — the real Shopify variant with its price overridden to what Stripe charged, so inventory, product
+//     reports and analytics attribute the revenue to the product. The variant comes from the session/subscription
+//     metadata (variant_id), else the plan's shopifyVariantId; with neither it falls back to a custom line item.
+// isTrial comes from the trial stamped into session metadata at checkout (trial_days), not from the amount.
+// `title` replaces the catalog title (gift orders, see giftTitle).
+function buildLineItems(plan, amountFormatted, metadataVariantId, isTrial, title) {
+  const planConfig = plans.getPlan(plan) || plans.getDefaultPlan();
+  const mode = planConfig?.shopifyLineItem || 'title';
+  if (mode === 'variant') {
+    const variantId = parseVariantId(metadataVariantId) || parseVariantId(planConfig.shopifyVariantId);
+    if (variantId) return [{ variant_id: variantId, price: amountFormatted, quantity: 1 }];
+    console.warn('Orders: no Shopify variant for plan', plan, '- using a custom line item');
+  } else if (mode !== 'title') {
+    console.warn('Orders: unknown shopifyLineItem', mode, 'for plan', plan, '- using a custom line item');
+  }
+  const titles = planConfig?.titles || {};
+  const lineTitle = title || (isTrial ? titles.trial : titles.paid) || titles.paid || planConfig?.label || 'Subscription';
+  return [{ title: lineTitle, price: amountFormatted, quantity: 1 }];
+}
+
+// Line title for the buyer's gift order (titles.gift) and the recipient's redemption order (titles.giftRedeemed).
+function giftTitle(plan, redeemed) {
+  const planConfig = plans.getPlan(plan) || plans.getDefaultPlan();
+  const titles = planConfig?.titles || {};
+  const base = titles.paid || planConfig?.label || 'Membership';
+  return redeemed ? titles.giftRedeemed || `${base} - Gift (redeemed)` : titles.gift || `${base} - Gift`;
+}
+
+// One line per checkout add-on (see addons.js): the add-on's Shopify variant when it has one, else a custom line.
+function buildAddonLineItems(addonLines) {
+  return addonLines.map((line) => {
+    const unitPrice = (line.amountSubtotal / line.quantity / 100).toFixed(2);
+    const variantId = parseVariantId(line.addon?.shopifyVariantId);
+    if (variantId) return { variant_id: variantId, price: unitPrice, quantity: line.quantity };
+    return { title: line.addon?.title || line.addon?.label || line.description, price: unitPrice, quantity: line.quantity };
+  });
+}
+
+// Invoice lines billed for the subscription itself, leaving out one-time items (checkout add-ons on the first
+// invoice). Older API versions mark them with `type`, newer ones with `parent.type`.
+function isSubscriptionLine(line) {
+  return line.type ? line.type === 'subscription' : line.parent?.type === 'subscription_item_details';
+}
+
+function oneTimeLinesAmount(invoice) {
+  return (invoice.lines?.data || []).filter((l) => !isSubscriptionLine(l)).reduce((sum, l) => sum + (l.amount || 0), 0);
+}
+
+/** Discount, promo code, order tags and sales channel shared by session and invoice orders. */
+function finishDraftOrder(payload, discountAmount, promoCode) {
+  if (discountAmount > 0) {
+    payload.applied_discount = {
+      title: promoCode || 'Discount',
+      amount: (discountAmount / 100).toFixed(2),
+      description: promoCode ? `Stripe promo code ${promoCode}` : 'Stripe discount',
+    };
+  }
+  const config = getShopifyConfig();
+  if (config?.orderTags) payload.tags = config.orderTags;
+  if (config?.sourceName) payload.source_name = config.sourceName;
+  return payload;
+}
+
+/**
+ * The tax Stripe charged (see tax.js), for Shopify: `tax_lines` and `taxes_included` (REST draft order shape), the
+ * billing address so Shopify taxes the same jurisdiction, and the exact amounts in the note and note attributes.
+ * @param {object} payload - Draft order payload
+ * @param {object|null} orderTax - From tax.sessionTax / tax.invoiceTax
+ * @param {object|null} address - Stripe address ({ line1, line2, city, state, postal_code, country })
+ * @param {string|null} name - Billing name
+ */
+function addTax(payload, orderTax, address, name) {
+  if (!orderTax) return payload;
+  payload.taxes_included = orderTax.inclusive;
+  payload.tax_lines = orderTax.lines.map((l) => ({ title: l.title, rate: l.rate, price: (l.amount / 100).toFixed(2) }));
+  if (address?.country) {
+    payload.billing_address = {
+      name: name || undefined,
+      address1: address.line1 || undefined,
+      address2: address.line2 || undefined,
+      city: address.city || undefined,
+      province_code: address.state || undefined,
+      zip: address.postal_code || undefined,
+      country_code: address.country,
+    };
+  }
+  const described = tax.describeTax(orderTax);
+  payload.note_attributes.push(
+    { name: 'tax_amount', value: (orderTax.amount / 100).toFixed(2) },
+    { name: 'tax_inclusive', value: String(orderTax.inclusive) },
+    { name: 'tax_lines', value: described }
+  );
+  payload.note += ` Tax: ${described} (${orderTax.inclusive ? 'included' : 'added'}).`;
+  return payload;
+}
+
+/**
+ * The buyer's details from checkout (optional name, phone and marketing consent saved by /api/checkout-details,
+ * plus the billing name/address when collected) for creating or updating the Shopify customer.
+ * @returns {object|null} - null when there is nothing beyond the email to sync
+ */
+function sessionCustomer(session, email) {
+  if (!email) return null;
+  const meta = session.metadata || {};
+  const details = session.customer_details || {};
+  let firstName = meta.customer_first_name || '';
+  let lastName = meta.customer_last_name || '';
+  if (!firstName && !lastName && details.name) {
+    [firstName, ...lastName] = details.name.trim().split(/\s+/);
+    lastName = lastName.join(' ');
+  }
+  const phone = meta.customer_phone || details.phone || '';
+  const marketingConsent = meta.marketing_consent === 'true';
+  const address = details.address?.country
+    ? {
+        address1: details.address.line1 || undefined,
+        address2: details.address.line2 || undefined,
+        city: details.address.city || undefined,
+        province_code: details.address.state || undefined,
+        zip: details.address.postal_code || undefined,
+        country_code: details.address.country,
+      }
+    : null;
+  if (!firstName && !lastName && !phone && !marketingConsent && !address) return null;
+  return {
+    email,
+    first_name: firstName || undefined,
+    last_name: lastName || undefined,
+    phone: phone || undefined,
+    marketing_consent: marketingConsent,
+    consent_at: marketingConsent ? meta.marketing_consent_at || undefined : undefined,
+    address,
+  };
+}
+
+/** Retrieve a checkout session the way buildSessionOrder expects it. */
+function loadSession(stripe, sessionId) {
+  // Products carry the add-on key (see addons.js).
+  return stripe.checkout.sessions.retrieve(sessionId, {
+    expand: ['line_items.data.price.product', 'total_details.breakdown'],
+  });
+}
+
+/**
+ * Build the Shopify order for a completed checkout session (the member's first order).
+ * @param {object} session - From loadSession
+ * @returns {object} - Built order (see top of file)
+ */
+function buildSessionOrder(session) {
+  const sessionId = session.id;
+  const email = session.customer_email || session.customer_details?.email || null;
+  const plan = session.metadata?.plan || defaultPlanKey();
+  const amountTotal = session.amount_total != null ? session.amount_total : 0;
+  const promoCode = session.metadata?.promo_code || '';
+  const discountAmount = session.total_details?.amount_discount || 0;
+  const sessionTax = tax.sessionTax(session);
+  // Line item at the pre-discount price; the discount goes on as an order-level discount line. Exclusive tax is
+  // left out of the line price (Shopify adds it on top).
+  const exclusiveTax = sessionTax && !sessionTax.inclusive ? sessionTax.amount : 0;
+  // Add-ons get their own lines at their own price; the plan line is the rest.
+  const addonLines = addons.sessionAddonLines(session);
+  const addonsAmount = addonLines.reduce((sum, l) => sum + l.amountSubtotal, 0);
+  const lineAmountFormatted = ((amountTotal + discountAmount - exclusiveTax - addonsAmount) / 100).toFixed(2);
+  // Sessions created before trial_days was stamped fall back to "nothing charged today means trial".
+  const trialDaysMeta = session.metadata?.trial_days;
+  const trialDays = trialDaysMeta != null && trialDaysMeta !== '' ? Number(trialDaysMeta) || 0 : null;
+  const isTrial = trialDays != null ? trialDays > 0 : amountTotal === 0;
+  const utm = {};
+  for (const key of UTM_KEYS) {
+    const val = session.metadata?.[key];
+    if (typeof val === 'string' && val.trim()) utm[key] = val.trim();
+  }
+  const productId = session.metadata?.product_id ?? '';
+  const variantIdMeta = session.metadata?.variant_id ?? '';
+  const noteAttributes = [
+    { name: 'stripe_session_id', value: sessionId },
+    { name: 'plan', value: plan },
+  ];
+  if (productId) noteAttributes.push({ name: 'product_id', value: productId });
+  if (variantIdMeta) noteAttributes.push({ name: 'variant_id', value: variantIdMeta });
+  if (promoCode) noteAttributes.push({ name: 'promo_code', value: promoCode });
+  if (discountAmount > 0) noteAttributes.push({ name: 'discount_amount', value: (discountAmount / 100).toFixed(2) });
+  if (trialDays != null) noteAttributes.push({ name: 'trial_days', value: String(trialDays) });
+  if (addonLines.length) noteAttributes.push({ name: 'addons', value: addonLines.map((l) => l.key).join(',') });
+  // Gift purchase (see gifts.js): the buyer's order; the recipient's membership starts when they redeem the code.
+  const isGift = session.metadata?.gift === 'true';
+  if (isGift) {
+    noteAttributes.push({ name: 'gift', value: 'true' });
+    noteAttributes.push({ name: 'gift_recipient_email', value: session.metadata.gift_recipient_email || '' });
+    if (session.metadata.gift_deliver_on) noteAttributes.push({ name: 'gift_deliver_on', value: session.metadata.gift_deliver_on });
+  }
+  for (const key of Object.keys(utm)) {
+    noteAttributes.push({ name: key, value: utm[key] });
+  }
+  let note = `Stripe session: ${sessionId}. Plan: ${plan}.`;
+  if (isGift) note += ` Gift for ${session.metadata.gift_recipient_email}.`;
+  if (productId) note += ` Product ID: ${productId}.`;
+  if (variantIdMeta) note += ` Variant ID: ${variantIdMeta}.`;
+  if (promoCode) note += ` Promo code: ${promoCode}.`;
+  if (trialDays != null) note += trialDays > 0 ? ` Free trial: ${trialDays} days.` : ' No trial.';
+  if (addonLines.length) note += ` Add-ons: ${addonLines.map((l) => l.addon?.label || l.description).join(', ')}.`;
+  if (Object.keys(utm).length > 0) {
+    const utmLine = Object.entries(utm).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+    note += ` UTM: ${utmLine}`;
+  }
+  const draftOrder = finishDraftOrder(
+    addTax(
+      {
+        line_items: [
+          ...buildLineItems(plan, lineAmountFormatted, variantIdMeta, isTrial, isGift ? giftTitle(plan, false) : null),
+          ...buildAddonLineItems(addonLines),
+        ],
+        email: email || undefined,
+        note,
+        note_attributes: noteAttributes,
+      },
+      sessionTax,
+      session.customer_details?.address,
+      session.customer_details?.name
+    ),
+    discountAmount,
+    promoCode
+  );
+  return {
+    attribute: { name: 'stripe_session_id', value: sessionId },
+    email,
+    draftOrder,
+    currencyCode: (session.currency && String(session.currency).toUpperCase()) || 'AUD',
+    // A gift buyer isn't a member; the recipient's Loop subscription comes with the redemption order.
+    loop: loop.isEnabled() && email && !isGift ? { email, plan } : null,
+    // The member's first order: its Shopify customer/order (and Loop) IDs get stored on the Stripe subscription.
+    stripe: { subscriptionId: idOf(session.subscription), customerId: idOf(session.customer) },
+    customer: sessionCustomer(session, email),
+  };
+}
+
+/**
+ * Build the recipient's Shopify order for a redeemed gift: a zero-priced line for the plan, so the member has a
+ * first order like any other (customer, Loop subscription, IDs written back to the Stripe subscription).
+ * @param {object} gift - Redeemed gift (see gifts.js)
+ * @param {object} subscription - The Stripe subscription created on redemption
+ * @returns {object} - Built order (see top of file)
+ */
+function buildGiftRedemptionOrder(gift, subscription) {
+  const email = gift.redeemedBy;
+  const noteAttributes = [
+    { name: 'gift_code', value: gift.code },
+    { name: 'plan', value: gift.plan },
+    { name: 'stripe_subscription_id', value: subscription.id },
+    { name: 'gift_session_id', value: gift.sessionId },
+  ];
+  const draftOrder = finishDraftOrder(
+    {
+      line_items: buildLineItems(gift.plan, '0.00', subscription.metadata?.variant_id, false, giftTitle(gift.plan, true)),
+      email,
+      note: `Gift membership redeemed with code ${gift.code} (bought in Stripe session ${gift.sessionId}). Plan: ${gift.plan}.`,
+      note_attributes: noteAttributes,
+    },
+    0,
+    ''
+  );
+  return {
+    attribute: { name: 'gift_code', value: gift.code },
+    email,
+    draftOrder,
+    currencyCode: String(gift.currency || subscription.currency || 'aud').toUpperCase(),
+    loop: loop.isEnabled() ? { email, plan: gift.plan } : null,
+    stripe: { subscriptionId: subscription.id, customerId: idOf(subscription.customer) },
+    customer: null,
+  };
+}
+
+/** Retrieve an invoice the way buildInvoiceOrder expects it. */
+function loadInvoice(stripe, invoiceId) {
+  return stripe.invoices.retrieve(invoiceId, { expand: ['subscription', 'customer', 'total_tax_amounts.tax_rate'] });
+}
+
+/**
+ * Whether a paid invoice gets a Shopify order: a subscription invoice with a positive amount for a renewal or
+ * the first charge (proration and manual invoices don't). A trial's first invoice that only charges checkout
+ * add-ons doesn't either; they're on the checkout session's order.
+ */
+function isOrderInvoice(invoice) {
+  if (!invoice.subscription) return false;
+  if (invoice.amount_paid == null || invoice.amount_paid <= 0) return false;
+  const lines = invoice.lines?.data || [];
+  if (lines.length && !lines.some((l) => isSubscriptionLine(l) && l.amount > 0)) return false;
+  return !invoice.billing_reason || ORDER_BILLING_REASONS.includes(invoice.billing_reason);
+}
+
+/**
+ * Build the Shopify order for a paid subscription invoice (renewal).
+ * @param {import('stripe').Stripe} stripe
+ * @param {object} invoice - From loadInvoice
+ * @returns {Promise<object|{ skip: string }>} - Built order, or the reason it gets no order
+ */
+async function buildInvoiceOrder(stripe, invoice) {
+  if (!isOrderInvoice(invoice)) return { skip: 'Not a paid subscription renewal' };
+  const invoiceId = invoice.id;
+  const subscription =
+    typeof invoice.subscription === 'object'
+      ? invoice.subscription
+      : await stripe.subscriptions.retrieve(invoice.subscription);
+  // A catalog price identifies the plan even if metadata lags behind a plan switch; checkout's inline
+  // prices don't match the catalog, so those fall back to metadata.
+  const subPriceId = subscription.items?.data?.[0]?.price?.id;
+  const plan = plans.findPlanByPriceId(subPriceId)?.key || subscription.metadata?.plan || defaultPlanKey();
+  const email =
+    invoice.customer_email ||
+    (typeof invoice.customer === 'object' && invoice.customer?.email) ||
+    null;
+  const discountAmount = (invoice.total_discount_amounts || []).reduce((sum, d) => sum + (d.amount || 0), 0);
+  const promoCode = subscription.metadata?.promo_code || '';
+  const invoiceTax = tax.invoiceTax(invoice, subscription);
+  // Line item at the pre-discount price; the discount goes on as an order-level discount line. Exclusive tax is
+  // left out of the line price (Shopify adds it on top).
+  const exclusiveTax = invoiceTax && !invoiceTax.inclusive ? invoiceTax.amount : 0;
+  // Only the subscription line; one-time items (checkout add-ons) are on the checkout session's order.
+  const lineAmount = (invoice.amount_paid || 0) + discountAmount - exclusiveTax - oneTimeLinesAmount(invoice);
+  const lineAmountFormatted = (lineAmount / 100).toFixed(2);
+  const subId = idOf(invoice.subscription);
+  const productIdSub = subscription.metadata?.product_id ?? '';
+  const variantIdSub = subscription.metadata?.variant_id ?? '';
+  const noteAttributes = [
+    { name: 'stripe_invoice_id', value: invoiceId },
+    { name: 'stripe_subscription_id', value: subId || '' },
+    { name: 'plan', value: plan },
+    { name: 'order_type', value: 'recurring' },
+  ];
+  if (productIdSub) noteAttributes.push({ name: 'product_id', value: productIdSub });
+  if (variantIdSub) noteAttributes.push({ name: 'variant_id', value: variantIdSub });
+  if (promoCode) noteAttributes.push({ name: 'promo_code', value: promoCode });
+  if (discountAmount > 0) noteAttributes.push({ name: 'discount_amount', value: (discountAmount / 100).toFixed(2) });
+  let note = `Recurring subscription order. Invoice: ${invoiceId}. Subscription: ${subId || ''}. Plan: ${plan}.`;
+  if (productIdSub) note += ` Product ID: ${productIdSub}.`;
+  if (variantIdSub) note += ` Variant ID: ${variantIdSub}.`;
+  if (promoCode) note += ` Promo code: ${promoCode}.`;
+  const draftOrder = {
+    line_items: buildLineItems(plan, lineAmountFormatted, variantIdSub, false),
+    email: email || undefined,
+    note,
+    note_attributes: noteAttributes,
+  };
+  // Attach renewals to the member's Shopify customer even if their email has changed since checkout.
+  const shopifyCustomerId = subscription.metadata?.shopify_customer_id;
+  if (shopifyCustomerId) draftOrder.customer_id = shopifyCustomerId;
+  addTax(draftOrder, invoiceTax, invoice.customer_address, invoice.customer_name);
+  finishDraftOrder(draftOrder, discountAmount, promoCode);
+  return {
+    attribute: { name: 'stripe_invoice_id', value: invoiceId },
+    email,
+    draftOrder,
+    currencyCode: (invoice.currency && String(invoice.currency).toUpperCase()) || 'AUD',
+    loop: null,
+    stripe: null,
+    customer: null,
+  };
+}
+
+/**
+ * Check whether a Shopify order already exists for this Stripe session/invoice:
+ * first in the processed-event store, then in Shopify by note attribute.
+ * Store errors are logged and ignored; the Shopify lookup is the second line of defence.
+ * @param {{ name: string, value: string }} attribute
+ * @param {string|null} email - Narrows the Shopify search
+ * @param {object} [source] - Recorded with a found order (e.g. { eventId })
+ * @returns {Promise<{ orderId?: string, error?: boolean }>}
+ */
+async function findExistingOrder(attribute, email, source = {}) {
+  let stored = null;
+  try {
+    stored = await processedOrders.get(attribute);
+  } catch (err) {
+    console.error('Orders: processed-event store read failed', attribute.name, attribute.value, err.message);
+  }
+  if (stored) {
+    console.log('Orders: order already created for', attribute.name, attribute.value, stored.orderId);
+    return { orderId: stored.orderId || 'unknown' };
+  }
+  const config = getShopifyConfig();
+  if (!config) return { error: true };
+  try {
+    const orderId = await findShopifyOrderByNoteAttribute(
+      config.shopUrl,
+      config.shopToken,
+      attribute.name,
+      attribute.value,
+      email
+    );
+    if (!orderId) return {};
+    console.log('Orders: found existing Shopify order for', attribute.name, attribute.value, orderId);
+    try {
+      await processedOrders.remember(attribute, Object.assign({ orderId }, source));
+    } catch (err) {
+      console.error('Orders: processed-event store write failed', attribute.name, attribute.value, err.message);
+    }
+    return { orderId };
+  } catch (err) {
+    console.error('Orders: existing order lookup failed', attribute.name, attribute.value, err.message);
+    return { error: true };
+  }
+}
+
+/**
+ * Queue a built order in the outbox and try it right away (one entry per session/invoice, so queueing the same
+ * record twice never creates two orders).
+ * @returns {Promise<{ ok: boolean, entry: object, duplicate?: boolean }>} - outbox.enqueue result
+ */
+function queueOrder(order) {
+  return outbox.enqueue(
+    'shopify.draft_order',
+    {
+      draftOrder: order.draftOrder,
+      currencyCode: order.currencyCode,
+      attribute: order.attribute,
+      loop: order.loop || null,
+      stripe: order.stripe || null,
+      customer: order.customer || null,
+    },
+    { key: `draft_order:${order.attribute.name}:${order.attribute.value}` }
+  );
+}
+
+module.exports = {
+  buildLineItems,
+  sessionCustomer,
+  loadSession,
+  buildSessionOrder,
+  buildGiftRedemptionOrder,
+  loadInvoice,
+  isOrderInvoice,
+  buildInvoiceOrder,
+  findExistingOrder,
+  queueOrder,
+};
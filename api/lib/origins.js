@@ -0,0 +1,87 @@
+/**
+ * Origin allowlist for the browser-facing endpoints (checkout, portal links, gift redemption, prices, config):
+ * CORS responses and the base for Stripe return URLs. Not applied to the emailed portal link itself
+ * (create-portal-session.js), which is a top-level navigation authenticated by its token.
+ *
+ * Allowed: the deployment's own origin (same-origin requests) plus ALLOWED_ORIGINS, a comma-separated list of
+ * origins such as `https://shop.example.com,https://www.example.com`. A request whose Origin (or, without one,
+ * Referer) is anything else is rejected with 403, so other sites can't embed the endpoints or send customers
+ * back to their own domain.
+ */
+
+/** `scheme://host[:port]` for an http(s) URL, or null. */
+function normalizeOrigin(value) {
+  try {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return `${url.protocol}//${url.host}`;
+  } catch {
+    return null;
+  }
+}
+
+function getAllowedOrigins() {
+  return String(process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(normalizeOrigin)
+    .filter(Boolean);
+}
+
+/** This deployment's origin, from the Host (or x-forwarded-host) header. */
+function ownOrigin(req) {
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  if (!host) return null;
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return normalizeOrigin(`${proto}://${host}`);
+}
+
+/**
+ * The origin a browser request comes from: the Origin header, else the origin part of the Referer
+ * (top-level navigations such as the portal link send no Origin).
+ * @returns {{ present: boolean, origin: string|null }} - present with a null origin means an unusable header
+ */
+function requestOrigin(req) {
+  const header = req.headers.origin || req.headers.referer;
+  if (!header) return { present: false, origin: null };
+  return { present: true, origin: normalizeOrigin(header) };
+}
+
+function isAllowed(req, origin) {
+  if (!origin) return false;
+  const own = ownOrigin(req);
+  // Compare hosts for same-origin requests: behind a proxy the scheme in x-forwarded-proto isn't always set.
+  if (own && new URL(origin).host === new URL(own).host) return true;
+  return getAllowedOrigins().includes(origin);
+}
+
+/**
+ * Apply the allowlist and CORS headers. Answers preflight requests itself (204, or 403 for other origins) and
+ * rejects actual requests from other origins with 403.
+ * @param {import('http').IncomingMessage} req
+ * @param {object} res
+ * @param {string} methods - Allowed methods for the preflight, e.g. 'POST, OPTIONS'
+ * @returns {string|null} - The origin to build return URLs from (the caller's origin, or this deployment's when
+ *   the request carries none); null when the response has already been sent
+ */
+function cors(req, res, methods) {
+  const { present, origin } = requestOrigin(req);
+  if (present && !isAllowed(req, origin)) {
+    console.warn('Origins: rejected request from', req.headers.origin || req.headers.referer);
+    res.status(403).json({ error: 'Origin not allowed' });
+    return null;
+  }
+  res.setHeader('Vary', 'Origin');
+  if (req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Max-Age', '600');
+    res.status(204).end();
+    return null;
+  }
+  return origin || ownOrigin(req);
+}
+
+module.exports = { normalizeOrigin, getAllowedOrigins, ownOrigin, cors };
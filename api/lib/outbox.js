@@ -0,0 +1,555 @@
+/**
+ * Durable outbox for downstream actions (Shopify draft orders, tags and notes, Loop create/cancel/pause/plan,
+ * notifications, analytics purchase events, member webhooks, abandoned checkouts, gift emails).
+ * Every action is persisted before it runs, so a failure is retried with exponential backoff
+ * instead of being lost. After OUTBOX_MAX_ATTEMPTS failures the entry moves to the dead-letter
+ * list ("dead") and stays there until retried or discarded via /api/admin/outbox.
+ *
+ * Entry: { id, type, payload, status: 'pending'|'done'|'dead', attempts, lastError, nextAttemptAt, result, createdAt, updatedAt }
+ */
+
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { getStore } = require('./store');
+const loop = require('./loop');
+const shopify = require('./shopify');
+const notify = require('./notify');
+const analytics = require('./analytics');
+const memberWebhooks = require('./member-webhooks');
+const abandonedNotifier = require('./abandoned-notifier');
+const gifts = require('./gifts');
+const processedOrders = require('./processed-orders');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 12 * 60 * 60;
+// Completed entries are kept for a week so they can be inspected, then expire.
+const DONE_TTL_SECONDS = 7 * 24 * 60 * 60;
+// A run that crashes mid-way releases its lock after this long.
+const LOCK_TTL_SECONDS = 120;
+
+function stripeClient() {
+  if (!process.env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY not set');
+  return new Stripe(process.env.STRIPE_SECRET_KEY);
+}
+
+function store() {
+  return getStore('outbox');
+}
+
+function maxAttempts() {
+  const n = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_ATTEMPTS;
+}
+
+/** Delay before the next attempt: 1m, 2m, 4m, ... capped at 12h. */
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Find the Shopify order created for a Stripe session/invoice. Throws when Shopify isn't configured or the
+ * order doesn't exist yet (e.g. its draft order is still queued), so the action is retried later.
+ */
+async function requireOrderForAttribute(attribute, email) {
+  const config = shopify.getShopifyConfig();
+  if (!config) throw new Error('Shopify not configured');
+  const orderId = await shopify.findShopifyOrderByNoteAttribute(
+    config.shopUrl,
+    config.shopToken,
+    attribute.name,
+    attribute.value,
+    email
+  );
+  if (!orderId) throw new Error(`No Shopify order found for ${attribute.name}=${attribute.value}`);
+  return { config, orderId };
+}
+
+/**
+ * Action handlers. Each receives (payload, entry), returns a result object on success and throws on failure.
+ */
+const handlers = {
+  /**
+   * Create and complete a Shopify draft order, then queue the Loop subscription for it. For a member's first
+   * order (`stripe` set) the Shopify customer and order IDs are written back to the Stripe subscription. With
+   * `customer` (name, phone, consent, address from checkout) the Shopify customer is created or updated first and
+   * the order is attached to it.
+   * payload: { draftOrder, currencyCode, attribute?: { name, value }, loop?: { email, plan },
+   *   stripe?: { subscriptionId?, customerId? }, customer?: see shopify.upsertShopifyCustomer }
+   */
+  async 'shopify.draft_order'(payload, entry) {
+    const config = shopify.getShopifyConfig();
+    if (!config) throw new Error('Shopify not configured');
+    const { shopUrl, shopToken } = config;
+    let orderId = null;
+    let customerId = null;
+    // An earlier attempt (or another run of this entry) may have created the order before failing, timing out
+    // or crashing; don't create it twice.
+    if (payload.attribute) {
+      orderId = await shopify.findShopifyOrderByNoteAttribute(
+        shopUrl,
+        shopToken,
+        payload.attribute.name,
+        payload.attribute.value,
+        payload.draftOrder.email
+      );
+    }
+    if (!orderId) {
+      const draftOrder = Object.assign({}, payload.draftOrder);
+      if (payload.customer && !draftOrder.customer_id) {
+        const upserted = await shopify.upsertShopifyCustomer(shopUrl, shopToken, payload.customer);
+        // The order still goes through; Shopify then matches the customer by email as before.
+        if (upserted.ok) draftOrder.customer_id = upserted.customerId;
+        else console.warn('Outbox: Shopify customer sync failed', upserted.error);
+      }
+      const result = await shopify.createShopifyDraftOrderAndComplete(
+        shopUrl,
+        shopToken,
+        draftOrder,
+        payload.currencyCode
+      );
+      if (!result.ok) throw new Error(result.error || 'Failed to create draft order');
+      orderId = result.orderId || null;
+      customerId = result.customerId || null;
+    }
+    if (payload.attribute) await processedOrders.remember(payload.attribute, { orderId, outboxId: entry.id });
+    if (payload.stripe && orderId) {
+      await enqueue(
+        'stripe.metadata',
+        Object.assign({}, payload.stripe, { ids: { shopify_customer_id: customerId, shopify_order_id: orderId } }),
+        { key: `stripe_ids:order:${orderId}` }
+      );
+    }
+    if (payload.loop && loop.isEnabled() && orderId) {
+      await enqueue(
+        'loop.create',
+        {
+          email: payload.loop.email,
+          plan: payload.loop.plan,
+          shopifyCustomerId: customerId,
+          shopifyOrderId: orderId,
+          stripe: payload.stripe || null,
+        },
+        { key: `loop_create:${orderId}` }
+      );
+    }
+    return { orderId, customerId };
+  },
+
+  /**
+   * Create the timeless Loop subscription for a completed Shopify order, and store its Loop ID on the
+   * Stripe subscription when `stripe` is set. An earlier attempt may have created it before failing or timing out,
+   * so an existing subscription for the order is used instead of creating another.
+   * payload: { email, plan, shopifyCustomerId?, shopifyOrderId, stripe?: { subscriptionId?, customerId? } }
+   */
+  async 'loop.create'(payload) {
+    let customerId = payload.shopifyCustomerId;
+    if (!customerId) {
+      const config = shopify.getShopifyConfig();
+      if (!config) throw new Error('Shopify not configured');
+      // Prefer customer ID from the order (Loop expects the order's customer); fallback to email search
+      customerId =
+        (await shopify.getShopifyCustomerIdFromOrder(config.shopUrl, config.shopToken, payload.shopifyOrderId)) ||
+        (await shopify.getShopifyCustomerIdByEmail(config.shopUrl, config.shopToken, payload.email));
+    }
+    if (!customerId) throw new Error('No Shopify customer ID for order/email');
+    const existing = await loop.findSubscriptionForOrder(payload.email, payload.shopifyOrderId);
+    if (!existing.ok) throw new Error(existing.error || 'Loop subscription lookup failed');
+    const result = existing.subscriptionId
+      ? existing
+      : await loop.createSubscription(payload.email, payload.plan, customerId, payload.shopifyOrderId);
+    if (!result.ok) throw new Error(result.error || 'Loop create failed');
+    if (existing.subscriptionId) console.log('Outbox: Loop subscription already exists for order', payload.shopifyOrderId);
+    if (payload.stripe && result.subscriptionId) {
+      await enqueue(
+        'stripe.metadata',
+        Object.assign({}, payload.stripe, { ids: { loop_subscription_id: result.subscriptionId } }),
+        { key: `stripe_ids:loop:${payload.shopifyOrderId}` }
+      );
+    }
+    return { shopifyCustomerId: customerId, loopSubscriptionId: result.subscriptionId || null };
+  },
+
+  /**
+   * Write cross-system IDs back to Stripe: all of them on the subscription, and the Shopify customer ID on the
+   * Stripe customer. Later webhooks read them from metadata instead of searching by email.
+   * payload: { subscriptionId?, customerId?, ids: { shopify_customer_id?, shopify_order_id?, loop_subscription_id? } }
+   */
+  async 'stripe.metadata'(payload) {
+    const metadata = {};
+    for (const [key, value] of Object.entries(payload.ids || {})) {
+      if (value != null && value !== '') metadata[key] = String(value);
+    }
+    if (Object.keys(metadata).length === 0) return {};
+    const stripe = stripeClient();
+    if (payload.subscriptionId) {
+      await stripe.subscriptions.update(payload.subscriptionId, { metadata });
+    }
+    if (payload.customerId && metadata.shopify_customer_id) {
+      await stripe.customers.update(payload.customerId, {
+        metadata: { shopify_customer_id: metadata.shopify_customer_id },
+      });
+    }
+    return { metadata };
+  },
+
+  /**
+   * Mirror a Stripe refund onto the Shopify order. Stripe reports the charge's cumulative refunded amount,
+   * so we refund only the difference from what Shopify already shows refunded (safe to run twice).
+   * payload: { attribute: { name, value }, email?, amountRefunded (cents, cumulative), currency, chargeId }
+   */
+  async 'shopify.refund'(payload) {
+    const { config, orderId } = await requireOrderForAttribute(payload.attribute, payload.email);
+    const state = await shopify.getShopifyOrderPaymentState(config.shopUrl, config.shopToken, orderId);
+    if (!state) throw new Error(`Shopify order ${orderId} not found`);
+    if (String(state.currencyCode).toLowerCase() !== String(payload.currency).toLowerCase()) {
+      throw new Error(`Currency mismatch: Stripe ${payload.currency}, Shopify ${state.currencyCode}`);
+    }
+    const remaining = Math.max(state.receivedCents - state.refundedCents, 0);
+    const amountCents = Math.min(payload.amountRefunded - state.refundedCents, remaining);
+    if (amountCents <= 0) return { orderId, refundedCents: 0 };
+    const result = await shopify.createShopifyRefund(
+      config.shopUrl,
+      config.shopToken,
+      state,
+      amountCents,
+      `Refunded in Stripe (charge ${payload.chargeId})`
+    );
+    if (!result.ok) throw new Error(result.error || 'Shopify refund failed');
+    return { orderId, refundedCents: amountCents, refundId: result.refundId };
+  },
+
+  /**
+   * Tag the Shopify order with the dispute status (dispute-<status>), replacing any earlier dispute tag.
+   * payload: { attribute: { name, value }, email?, status, disputeId }
+   */
+  async 'shopify.dispute'(payload) {
+    const { config, orderId } = await requireOrderForAttribute(payload.attribute, payload.email);
+    const state = await shopify.getShopifyOrderPaymentState(config.shopUrl, config.shopToken, orderId);
+    if (!state) throw new Error(`Shopify order ${orderId} not found`);
+    const tag = `dispute-${payload.status}`;
+    const remove = state.tags.filter((t) => t.startsWith('dispute-') && t !== tag);
+    const result = await shopify.updateShopifyTags(config.shopUrl, config.shopToken, state.id, {
+      add: ['disputed', tag],
+      remove,
+    });
+    if (!result.ok) throw new Error(result.error || 'Shopify tag update failed');
+    return { orderId, tag };
+  },
+
+  /**
+   * Cancel the customer's Loop subscription (by stored ID, else every subscription for the email).
+   * payload: { email, loopSubscriptionId? }
+   */
+  async 'loop.cancel'(payload) {
+    const result = await loop.cancelSubscription(payload.email, { subscriptionId: payload.loopSubscriptionId });
+    if (!result.ok) throw new Error(result.error || 'Loop cancel failed');
+    return {};
+  },
+
+  /**
+   * Add and/or remove tags on the Shopify customer (stored ID, else found by email), e.g. payment-failed while past due.
+   * payload: { email, shopifyCustomerId?, add?: string[], remove?: string[] }
+   */
+  async 'shopify.customer_tags'(payload) {
+    const config = shopify.getShopifyConfig();
+    if (!config) throw new Error('Shopify not configured');
+    const customerId =
+      payload.shopifyCustomerId ||
+      (await shopify.getShopifyCustomerIdByEmail(config.shopUrl, config.shopToken, payload.email));
+    if (!customerId) throw new Error(`No Shopify customer found for ${payload.email}`);
+    const result = await shopify.updateShopifyTags(config.shopUrl, config.shopToken, `gid://shopify/Customer/${customerId}`, {
+      add: payload.add,
+      remove: payload.remove,
+    });
+    if (!result.ok) throw new Error(result.error || 'Shopify tag update failed');
+    return { customerId };
+  },
+
+  /**
+   * Record a Stripe plan change on the member's Shopify order: a note line and the `plan-changed` tag.
+   * Uses the stored origin order ID when known; otherwise the first attribute that matches an order wins
+   * (the origin checkout order, then the latest renewal order).
+   * payload: { orderId?, attributes: [{ name, value }], email?, fromPlan, toPlan, subscriptionId, changedAt }
+   */
+  async 'shopify.plan_change'(payload) {
+    const config = shopify.getShopifyConfig();
+    if (!config) throw new Error('Shopify not configured');
+    let orderId = payload.orderId || null;
+    for (const attribute of orderId ? [] : payload.attributes) {
+      orderId = await shopify.findShopifyOrderByNoteAttribute(
+        config.shopUrl,
+        config.shopToken,
+        attribute.name,
+        attribute.value,
+        payload.email
+      );
+      if (orderId) break;
+    }
+    if (!orderId) throw new Error(`No Shopify order found for subscription ${payload.subscriptionId}`);
+    const line = `Plan changed from ${payload.fromPlan || 'unknown'} to ${payload.toPlan} on ${String(payload.changedAt).slice(0, 10)} (Stripe subscription ${payload.subscriptionId}).`;
+    const noted = await shopify.appendShopifyOrderNote(config.shopUrl, config.shopToken, orderId, line);
+    if (!noted.ok) throw new Error(noted.error || 'Shopify note update failed');
+    const tagged = await shopify.updateShopifyTags(config.shopUrl, config.shopToken, orderId, { add: ['plan-changed'] });
+    if (!tagged.ok) throw new Error(tagged.error || 'Shopify tag update failed');
+    return { orderId };
+  },
+
+  /**
+   * Move the customer's Loop subscription line to the new plan's Loop variant.
+   * payload: { email, plan, loopSubscriptionId? }
+   */
+  async 'loop.update_plan'(payload) {
+    const result = await loop.updateSubscriptionPlan(payload.email, payload.plan, {
+      subscriptionId: payload.loopSubscriptionId,
+    });
+    if (!result.ok) throw new Error(result.error || 'Loop plan update failed');
+    return { updated: result.updated || 0 };
+  },
+
+  /**
+   * Pause the customer's Loop subscription(s) while payment is past due.
+   * payload: { email, loopSubscriptionId? }
+   */
+  async 'loop.pause'(payload) {
+    const result = await loop.pauseSubscription(payload.email, { subscriptionId: payload.loopSubscriptionId });
+    if (!result.ok) throw new Error(result.error || 'Loop pause failed');
+    return {};
+  },
+
+  /**
+   * Resume the customer's Loop subscription(s) after payment recovers.
+   * payload: { email, loopSubscriptionId? }
+   */
+  async 'loop.resume'(payload) {
+    const result = await loop.resumeSubscription(payload.email, { subscriptionId: payload.loopSubscriptionId });
+    if (!result.ok) throw new Error(result.error || 'Loop resume failed');
+    return {};
+  },
+
+  /**
+   * Push an abandoned checkout to Shopify (see abandoned.js): create or update the customer, then tag it ("tag")
+   * or leave an open draft order for the plan ("draft_order").
+   * payload: { mode: 'tag'|'draft_order', tag, customer: see shopify.upsertShopifyCustomer, draftOrder?, currencyCode }
+   */
+  async 'shopify.abandoned_checkout'(payload) {
+    const config = shopify.getShopifyConfig();
+    if (!config) throw new Error('Shopify not configured');
+    const upserted = await shopify.upsertShopifyCustomer(config.shopUrl, config.shopToken, payload.customer);
+    if (payload.mode === 'draft_order') {
+      const draftOrder = Object.assign({}, payload.draftOrder);
+      if (upserted.ok) draftOrder.customer_id = upserted.customerId;
+      else console.warn('Outbox: Shopify customer sync failed', upserted.error);
+      const result = await shopify.createShopifyDraftOrderAndComplete(
+        config.shopUrl,
+        config.shopToken,
+        draftOrder,
+        payload.currencyCode,
+        { complete: false }
+      );
+      if (!result.ok) throw new Error(result.error || 'Failed to create draft order');
+      return { customerId: upserted.customerId || null, draftOrderId: result.draftOrderId };
+    }
+    if (!upserted.ok) throw new Error(upserted.error || 'Shopify customer sync failed');
+    const tagged = await shopify.updateShopifyTags(
+      config.shopUrl,
+      config.shopToken,
+      `gid://shopify/Customer/${upserted.customerId}`,
+      { add: [payload.tag] }
+    );
+    if (!tagged.ok) throw new Error(tagged.error || 'Shopify tag update failed');
+    return { customerId: upserted.customerId };
+  },
+
+  /**
+   * Send an abandoned-checkout notification with the configured notifier (see abandoned-notifier.js).
+   * payload: the abandoned checkout record
+   */
+  async 'abandoned.notify'(payload) {
+    return abandonedNotifier.sendAbandonedNotification(payload);
+  },
+
+  /**
+   * Email a gift's redeem code to the recipient (see gifts.js). Queued with `runAt` for a future delivery date.
+   * payload: { code }
+   */
+  async 'gift.deliver'(payload) {
+    return gifts.deliverGift(payload.code);
+  },
+
+  /**
+   * Send a lifecycle notification (see notify.js).
+   * payload: { event, text, ... }
+   */
+  async 'notify.lifecycle'(payload) {
+    return notify.sendNotification(payload);
+  },
+
+  /**
+   * Send a server-side purchase event to GA4 / Meta (see analytics.js). One entry per destination, so a retry
+   * never resends to the one that already accepted it.
+   * payload: purchase from analytics.purchaseFromSession / purchaseFromInvoice
+   */
+  async 'analytics.ga4_purchase'(payload) {
+    return analytics.sendGa4Purchase(payload);
+  },
+
+  async 'analytics.meta_purchase'(payload) {
+    return analytics.sendMetaPurchase(payload);
+  },
+
+  /**
+   * Deliver a member.* event to one destination (see member-events.js).
+   * payload: { url, event }
+   */
+  async 'member.webhook'(payload) {
+    return memberWebhooks.sendMemberWebhook(payload.url, payload.event);
+  },
+};
+
+async function save(entry) {
+  entry.updatedAt = new Date().toISOString();
+  const ttlSeconds = entry.status === 'done' ? DONE_TTL_SECONDS : undefined;
+  await store().set(`entry:${entry.id}`, entry, { ttlSeconds });
+}
+
+/**
+ * Run one entry now. Updates attempts, status and next retry time, and persists the result. The entry is read
+ * again once the lock is held, since another run (the webhook, cron or an admin retry) may have finished it after
+ * the caller read it; only a pending entry that is due runs, or with `force` a pending or dead one (dead entries
+ * get a fresh attempt budget).
+ * @param {string} id
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<{ ok: boolean, entry: object|null, result?: object, locked?: boolean, skipped?: boolean }>}
+ */
+async function runEntry(id, options = {}) {
+  const lockKey = `lock:${id}`;
+  if (!(await store().setIfAbsent(lockKey, true, { ttlSeconds: LOCK_TTL_SECONDS }))) {
+    return { ok: false, locked: true, entry: await get(id) };
+  }
+  try {
+    const entry = await get(id);
+    if (!entry) return { ok: false, skipped: true, entry: null };
+    if (entry.status === 'done') return { ok: true, skipped: true, entry, result: entry.result };
+    const due = !entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= Date.now();
+    if (!options.force && (entry.status !== 'pending' || !due)) return { ok: false, skipped: true, entry };
+    if (entry.status === 'dead') entry.attempts = 0;
+    try {
+      const handler = handlers[entry.type];
+      if (!handler) throw new Error(`Unknown outbox action "${entry.type}"`);
+      const result = await handler(entry.payload, entry);
+      entry.attempts += 1;
+      entry.status = 'done';
+      entry.lastError = null;
+      entry.nextAttemptAt = null;
+      entry.result = result || {};
+      await save(entry);
+      return { ok: true, entry, result: entry.result };
+    } catch (err) {
+      entry.attempts += 1;
+      entry.lastError = err.message || String(err);
+      if (entry.attempts >= maxAttempts()) {
+        entry.status = 'dead';
+        entry.nextAttemptAt = null;
+        console.error('Outbox: moved to dead-letter list', entry.id, entry.type, entry.lastError);
+      } else {
+        entry.status = 'pending';
+        entry.nextAttemptAt = new Date(Date.now() + backoffSeconds(entry.attempts) * 1000).toISOString();
+        console.error('Outbox: attempt failed, will retry', entry.id, entry.type, entry.attempts, entry.lastError);
+      }
+      await save(entry);
+      return { ok: false, entry };
+    }
+  } finally {
+    await store().delete(lockKey).catch(() => {});
+  }
+}
+
+/**
+ * Persist an action and attempt it immediately, or at `runAt` (an ISO time; the cron picks it up from then).
+ * With a `key`, the same action is only ever queued once (e.g. one draft order per Stripe session);
+ * enqueueing it again returns the existing entry without running it.
+ * @param {string} type - Handler name (e.g. 'shopify.draft_order', 'loop.create', 'loop.cancel')
+ * @param {object} payload - JSON-serialisable action input
+ * @param {{ key?: string, runAt?: string|null }} [options]
+ * @returns {Promise<{ ok: boolean, entry: object, result?: object, duplicate?: boolean, scheduled?: boolean }>}
+ */
+async function enqueue(type, payload, options = {}) {
+  if (!handlers[type]) throw new Error(`Unknown outbox action "${type}"`);
+  const now = new Date().toISOString();
+  const scheduled = Boolean(options.runAt) && Date.parse(options.runAt) > Date.now();
+  const entry = {
+    id: options.key || crypto.randomUUID(),
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: scheduled ? new Date(options.runAt).toISOString() : now,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const created = await store().setIfAbsent(`entry:${entry.id}`, entry);
+  if (!created) {
+    const existing = await store().get(`entry:${entry.id}`);
+    return { ok: existing?.status === 'done', duplicate: true, entry: existing, result: existing?.result };
+  }
+  if (scheduled) return { ok: false, scheduled: true, entry };
+  return runEntry(entry.id);
+}
+
+/**
+ * List entries, newest first.
+ * @param {{ status?: 'pending'|'done'|'dead' }} [filter]
+ */
+async function list(filter = {}) {
+  const entries = (await store().list('entry:')).map((e) => e.value);
+  return entries
+    .filter((e) => !filter.status || e.status === filter.status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+async function get(id) {
+  return store().get(`entry:${id}`);
+}
+
+/**
+ * Run a pending or dead entry now, regardless of its next retry time. Dead entries get a fresh attempt budget.
+ * @returns {Promise<{ ok: boolean, entry?: object, error?: string }>}
+ */
+async function retry(id) {
+  const entry = await get(id);
+  if (!entry) return { ok: false, error: 'Not found' };
+  if (entry.status === 'done') return { ok: true, entry };
+  return runEntry(id, { force: true });
+}
+
+/** Remove an entry (e.g. a dead action that was fixed by hand). */
+async function discard(id) {
+  const entry = await get(id);
+  if (!entry) return { ok: false, error: 'Not found' };
+  await store().delete(`entry:${id}`);
+  console.log('Outbox: discarded', id, entry.type, entry.status);
+  return { ok: true, entry };
+}
+
+/**
+ * Run every pending entry whose next retry time has passed (called from cron).
+ * @returns {Promise<{ processed: number, succeeded: number, failed: number }>}
+ */
+async function processDue() {
+  const now = Date.now();
+  const due = (await list({ status: 'pending' })).filter((e) => !e.nextAttemptAt || Date.parse(e.nextAttemptAt) <= now);
+  let succeeded = 0;
+  let failed = 0;
+  for (const entry of due) {
+    const result = await runEntry(entry.id);
+    if (result.locked || result.skipped) continue;
+    if (result.ok) succeeded += 1;
+    else failed += 1;
+  }
+  return { processed: succeeded + failed, succeeded, failed };
+}
+
+module.exports = { enqueue, list, get, retry, discard, processDue };
@@ -0,0 +1,81 @@
+/**
+ * Plan catalog: the single source of truth for which plans exist (config/plans.json).
+ * Adding a plan (e.g. quarterly or lifetime) is a catalog change; checkout, webhook and page all read from here.
+ *
+ * String values of the form "${ENV_VAR}" are read from the environment, so price and variant IDs
+ * can differ between test and live deployments. Empty env values resolve to null.
+ *
+ * Entry fields: label, order, stripePriceId, stripeCouponId (optional, applied at checkout and shown on the card),
+ * shopifyProductId, shopifyVariantId, shopifyLineItem ("title" or "variant"; see orders.js buildLineItems),
+ * loopVariantId / loopSellingPlanId (optional; default LOOP_VARIANT_ID / LOOP_SELLING_PLAN_ID), trialDays, badge,
+ * giftable (can be bought as a gift, see gifts.js), titles: { trial, paid, gift?, giftRedeemed? } (Shopify receipt
+ * line titles).
+ * Prices themselves are never in the catalog; they're read live from Stripe (see pricing.js).
+ */
+
+const catalog = require('../../config/plans.json');
+
+/** Resolve "${ENV_VAR}" strings (recursively); shared with the add-on catalog (addons.js). */
+function resolveEnv(value) {
+  if (typeof value === 'string') {
+    const match = /^\$\{([A-Z0-9_]+)\}$/.exec(value.trim());
+    if (!match) return value;
+    const envValue = process.env[match[1]];
+    return envValue != null && String(envValue).trim() !== '' ? String(envValue).trim() : null;
+  }
+  if (Array.isArray(value)) return value.map(resolveEnv);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = resolveEnv(v);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * All plans, sorted by display order.
+ * @returns {Array<object>} - Each plan has `key` plus the catalog fields (env references resolved)
+ */
+function listPlans() {
+  return Object.keys(catalog)
+    .map((key) => Object.assign({ key }, resolveEnv(catalog[key])))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * @param {string} key - Plan key (e.g. 'yearly')
+ * @returns {object|null}
+ */
+function getPlan(key) {
+  if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(catalog, key)) return null;
+  return Object.assign({ key }, resolveEnv(catalog[key]));
+}
+
+/** First plan in display order; used when a session/subscription has no plan metadata. */
+function getDefaultPlan() {
+  return listPlans()[0] || null;
+}
+
+/**
+ * Find the plan whose Stripe price ID matches.
+ * @param {string} priceId
+ * @returns {object|null}
+ */
+function findPlanByPriceId(priceId) {
+  if (!priceId) return null;
+  return listPlans().find((p) => p.stripePriceId === priceId) || null;
+}
+
+/** Fields that are safe to send to the browser (no Stripe or Shopify IDs). */
+function toPublicPlan(plan) {
+  return {
+    key: plan.key,
+    label: plan.label,
+    order: plan.order,
+    trialDays: plan.trialDays ?? 0,
+    badge: plan.badge || null,
+    giftable: Boolean(plan.giftable),
+  };
+}
+
+module.exports = { listPlans, getPlan, getDefaultPlan, findPlanByPriceId, toPublicPlan, resolveEnv };
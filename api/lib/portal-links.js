@@ -0,0 +1,114 @@
+/**
+ * Signed, expiring links to the Stripe Billing Portal ("manage my subscription").
+ *
+ * /api/create-portal-session only accepts a token from here: a JWT (lib/jwt.js) with the Stripe customer as `sub`,
+ * `purpose: "portal"` and the origin to return to. Tokens expire after PORTAL_LINK_TTL_SECONDS (default 30 minutes)
+ * and are signed with PORTAL_LINK_SECRET, or a key derived from STRIPE_SECRET_KEY when that isn't set.
+ *
+ * Tokens are issued two ways (see /api/portal-link):
+ *   - magic link: the customer enters their email and gets the link by email (lib/mailer.js);
+ *   - thank-you page: the checkout session ID from the success URL is exchanged for a token, but only for a
+ *     completed session created within the last day, so an old success URL no longer opens the portal.
+ */
+
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('./jwt');
+const entitlements = require('./entitlements');
+const { sendMail } = require('./mailer');
+
+const DEFAULT_TTL_SECONDS = 30 * 60;
+const SESSION_MAX_AGE_SECONDS = 24 * 60 * 60;
+const PURPOSE = 'portal';
+
+function linkKey() {
+  if (process.env.PORTAL_LINK_SECRET) return process.env.PORTAL_LINK_SECRET;
+  const stripeKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeKey) throw new Error('Portal links need PORTAL_LINK_SECRET or STRIPE_SECRET_KEY');
+  return crypto.createHmac('sha256', stripeKey).update('portal-link').digest('hex');
+}
+
+function ttlSeconds() {
+  const n = Number(process.env.PORTAL_LINK_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Sign a portal token for a customer.
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} origin - Allowed origin the portal returns to
+ * @returns {string}
+ */
+function createPortalToken(customerId, origin) {
+  return signJwt({ sub: customerId, purpose: PURPOSE, origin }, linkKey(), { ttlSeconds: ttlSeconds() });
+}
+
+/**
+ * Check a portal token.
+ * @param {string} token
+ * @returns {{ customerId: string, origin: string|null }|null} - null when invalid or expired
+ */
+function verifyPortalToken(token) {
+  const claims = verifyJwt(token, linkKey());
+  if (!claims || claims.purpose !== PURPOSE || !/^cus_\w+$/.test(String(claims.sub))) return null;
+  return { customerId: claims.sub, origin: claims.origin || null };
+}
+
+function portalLinkUrl(origin, token) {
+  return `${origin}/api/create-portal-session?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a portal link to the customer with this email, if there is one. Callers should answer the same either
+ * way so the endpoint doesn't reveal who is a customer.
+ * @param {import('stripe').Stripe} stripe
+ * @param {string} email
+ * @param {string} origin
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function sendMagicLink(stripe, email, origin) {
+  // The entitlement lookup picks the customer that holds the membership when an email has several.
+  const entitlement = await entitlements.getEntitlement(stripe, { email });
+  if (!entitlement.customer_id) return { sent: false };
+  const url = portalLinkUrl(origin, createPortalToken(entitlement.customer_id, origin));
+  const minutes = Math.round(ttlSeconds() / 60);
+  await sendMail({
+    to: email,
+    subject: 'Manage your subscription',
+    text: [
+      'Use this link to manage your subscription: update your card, view invoices or cancel.',
+      '',
+      url,
+      '',
+      `The link expires in ${minutes} minutes. If you didn't ask for it, you can ignore this email.`,
+    ].join('\n'),
+  });
+  return { sent: true };
+}
+
+/**
+ * Exchange a checkout session ID from the thank-you URL for a portal link.
+ * @param {import('stripe').Stripe} stripe
+ * @param {string} sessionId
+ * @param {string} origin
+ * @returns {Promise<{ url: string, expiresAt: string }|{ error: string }>}
+ */
+async function linkForCheckoutSession(stripe, sessionId, origin) {
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId);
+  } catch (err) {
+    if (err.statusCode === 404 || err.code === 'resource_missing') return { error: 'Invalid session' };
+    throw err;
+  }
+  const customerId = typeof session.customer === 'string' ? session.customer : session.customer?.id;
+  if (session.status !== 'complete' || !customerId) return { error: 'Invalid session' };
+  if (Math.floor(Date.now() / 1000) - session.created > SESSION_MAX_AGE_SECONDS) {
+    return { error: 'This link has expired. Enter your email to get a new one.' };
+  }
+  return {
+    url: portalLinkUrl(origin, createPortalToken(customerId, origin)),
+    expiresAt: new Date(Date.now() + ttlSeconds() * 1000).toISOString(),
+  };
+}
+
+module.exports = { createPortalToken, verifyPortalToken, sendMagicLink, linkForCheckoutSession };
@@ -0,0 +1,136 @@
+/**
+ * Live plan pricing from Stripe, so the page never shows a price the checkout doesn't charge.
+ * Amounts are in the currency's minor unit (cents), as Stripe returns them.
+ */
+
+const plans = require('./plans');
+const addons = require('./addons');
+
+// Months per billing interval, used for the per-month figure on the cards.
+const MONTHS_PER_INTERVAL = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 };
+
+/**
+ * Retrieve a plan's coupon if it is configured and still valid.
+ * @returns {Promise<object|null>} - Stripe coupon or null
+ */
+async function getActiveCoupon(stripe, couponId) {
+  if (!couponId) return null;
+  try {
+    const coupon = await stripe.coupons.retrieve(couponId);
+    return coupon && coupon.valid ? coupon : null;
+  } catch (err) {
+    console.warn('Pricing: coupon lookup failed', couponId, err.message);
+    return null;
+  }
+}
+
+/**
+ * Apply a coupon to an amount (minor units). Amount-off coupons only apply in their own currency.
+ */
+function applyCoupon(amount, currency, coupon) {
+  if (!coupon) return amount;
+  if (coupon.percent_off != null) {
+    return Math.round(amount * (1 - coupon.percent_off / 100));
+  }
+  if (coupon.amount_off != null && String(coupon.currency || '').toLowerCase() === currency) {
+    return Math.max(amount - coupon.amount_off, 0);
+  }
+  return amount;
+}
+
+/**
+ * Compute the pricing figures for one plan from its Stripe price (and optional coupon).
+ * compareAtAmount is the struck-through "was" price: the price's `compare_at_amount` metadata if set,
+ * otherwise the undiscounted amount when a coupon applies.
+ */
+function describePrice(plan, price, coupon) {
+  const currency = (price.currency || 'aud').toLowerCase();
+  const unitAmount = price.unit_amount ?? 0;
+  const amount = applyCoupon(unitAmount, currency, coupon);
+  const recurring = price.recurring
+    ? { interval: price.recurring.interval, intervalCount: price.recurring.interval_count || 1 }
+    : null;
+  let compareAtAmount = parseInt(price.metadata?.compare_at_amount, 10);
+  if (!Number.isFinite(compareAtAmount)) compareAtAmount = amount < unitAmount ? unitAmount : null;
+  if (compareAtAmount != null && compareAtAmount <= amount) compareAtAmount = null;
+  const months = recurring ? (MONTHS_PER_INTERVAL[recurring.interval] || 1) * recurring.intervalCount : null;
+  return {
+    key: plan.key,
+    label: plan.label,
+    order: plan.order,
+    badge: plan.badge || null,
+    trialDays: plan.trialDays ?? 0,
+    currency,
+    unitAmount,
+    amount,
+    compareAtAmount,
+    interval: recurring ? recurring.interval : null,
+    intervalCount: recurring ? recurring.intervalCount : null,
+    perMonthAmount: months ? Math.round(amount / months) : null,
+    savingsPercent: compareAtAmount ? Math.round((1 - amount / compareAtAmount) * 100) : null,
+    coupon: coupon
+      ? {
+          id: coupon.id,
+          name: coupon.name || null,
+          percentOff: coupon.percent_off ?? null,
+          amountOff: coupon.amount_off ?? null,
+          duration: coupon.duration,
+        }
+      : null,
+  };
+}
+
+/**
+ * Pricing for every plan in the catalog, in display order. A plan whose price can't be loaded is
+ * returned with `error` and no amounts so the page can still show it.
+ * @param {import('stripe').Stripe} stripe
+ * @returns {Promise<Array<object>>}
+ */
+async function getPlanPricing(stripe) {
+  return Promise.all(
+    plans.listPlans().map(async (plan) => {
+      if (!plan.stripePriceId) {
+        return Object.assign(plans.toPublicPlan(plan), { error: 'Price not configured' });
+      }
+      try {
+        const [price, coupon] = await Promise.all([
+          stripe.prices.retrieve(plan.stripePriceId),
+          getActiveCoupon(stripe, plan.stripeCouponId),
+        ]);
+        return describePrice(plan, price, coupon);
+      } catch (err) {
+        console.error('Pricing: price lookup failed', plan.key, err.message);
+        return Object.assign(plans.toPublicPlan(plan), { error: 'Price unavailable' });
+      }
+    })
+  );
+}
+
+/**
+ * Pricing for the add-ons that have a price (see addons.js), in display order. An add-on whose price can't be
+ * loaded is left out, so it can't be picked.
+ * @param {import('stripe').Stripe} stripe
+ * @returns {Promise<{ addons: Array<object>, complete: boolean }>}
+ */
+async function getAddonPricing(stripe) {
+  const priced = await Promise.all(
+    addons
+      .listAddons()
+      .filter((addon) => addon.stripePriceId)
+      .map(async (addon) => {
+        try {
+          const price = await stripe.prices.retrieve(addon.stripePriceId);
+          return Object.assign(addons.toPublicAddon(addon), {
+            currency: (price.currency || 'aud').toLowerCase(),
+            amount: price.unit_amount ?? 0,
+          });
+        } catch (err) {
+          console.error('Pricing: add-on price lookup failed', addon.key, err.message);
+          return null;
+        }
+      })
+  );
+  return { addons: priced.filter(Boolean), complete: priced.every(Boolean) };
+}
+
+module.exports = { getPlanPricing, getAddonPricing, getActiveCoupon, applyCoupon, describePrice };
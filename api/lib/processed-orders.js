@@ -0,0 +1,33 @@
+/**
+ * Which Shopify order a Stripe session/invoice produced, keyed by the note attribute that identifies it
+ * (stripe_session_id / stripe_invoice_id). Written by the outbox when it creates (or finds) the order and by the
+ * webhook's existing-order lookup, and read before queueing an order so one record never produces two.
+ * Kept in the webhook's 'processed-events' store.
+ */
+
+const { getStore } = require('./store');
+
+// How long to remember which Shopify order a Stripe session/invoice produced.
+const PROCESSED_ORDER_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+function key(attribute) {
+  return `${attribute.name}:${attribute.value}`;
+}
+
+/**
+ * @param {{ name: string, value: string }} attribute
+ * @returns {Promise<{ orderId: string|null }|null>}
+ */
+function get(attribute) {
+  return getStore('processed-events').get(key(attribute));
+}
+
+/**
+ * @param {{ name: string, value: string }} attribute
+ * @param {{ orderId: string|null }} record - Order ID plus where it was recorded from (e.g. { outboxId })
+ */
+function remember(attribute, record) {
+  return getStore('processed-events').set(key(attribute), record, { ttlSeconds: PROCESSED_ORDER_TTL_SECONDS });
+}
+
+module.exports = { get, remember };
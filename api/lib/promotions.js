@@ -0,0 +1,60 @@
+/**
+ * Promotion code lookup and validation against Stripe (Dashboard → Product catalog → Coupons → Promotion codes).
+ */
+
+const PROMO_CODE_MAX = 100;
+
+/**
+ * Normalise a user-entered code. Returns null for empty or oversized input.
+ * @param {unknown} raw
+ * @returns {string|null}
+ */
+function normalizeCode(raw) {
+  if (typeof raw !== 'string') return null;
+  const code = raw.trim();
+  if (!code || code.length > PROMO_CODE_MAX) return null;
+  return code;
+}
+
+/**
+ * Find an active promotion code and check it can be used for this purchase.
+ * Newer API versions nest the coupon under `promotion.coupon`; older ones have `coupon` directly.
+ * @param {import('stripe').Stripe} stripe
+ * @param {string} code - Customer-facing code (case-insensitive in Stripe)
+ * @param {{ amount: number, currency: string }} purchase - Undiscounted amount (minor units) and currency
+ * @returns {Promise<{ ok: true, promotionCode: object, coupon: object } | { ok: false, error: string }>}
+ */
+async function validatePromotionCode(stripe, code, purchase) {
+  const list = await stripe.promotionCodes.list({ code, active: true, limit: 1 });
+  const promotionCode = list.data && list.data[0];
+  if (!promotionCode) return { ok: false, error: 'This promo code is not valid.' };
+
+  let coupon = promotionCode.coupon || promotionCode.promotion?.coupon || null;
+  if (typeof coupon === 'string') coupon = await stripe.coupons.retrieve(coupon);
+  if (!coupon || !coupon.valid) return { ok: false, error: 'This promo code has expired.' };
+
+  if (promotionCode.expires_at && promotionCode.expires_at * 1000 < Date.now()) {
+    return { ok: false, error: 'This promo code has expired.' };
+  }
+  if (promotionCode.max_redemptions != null && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+    return { ok: false, error: 'This promo code has already been used.' };
+  }
+  // Checkout uses inline product data, so product-restricted coupons can never match our line items.
+  if (coupon.applies_to && Array.isArray(coupon.applies_to.products) && coupon.applies_to.products.length > 0) {
+    return { ok: false, error: 'This promo code can’t be used for this plan.' };
+  }
+  if (coupon.amount_off != null && String(coupon.currency || '').toLowerCase() !== purchase.currency) {
+    return { ok: false, error: 'This promo code can’t be used for this currency.' };
+  }
+  const restrictions = promotionCode.restrictions || {};
+  if (
+    restrictions.minimum_amount != null &&
+    String(restrictions.minimum_amount_currency || '').toLowerCase() === purchase.currency &&
+    purchase.amount < restrictions.minimum_amount
+  ) {
+    return { ok: false, error: 'Your order doesn’t meet the minimum for this promo code.' };
+  }
+  return { ok: true, promotionCode, coupon };
+}
+
+module.exports = { normalizeCode, validatePromotionCode };
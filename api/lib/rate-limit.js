@@ -0,0 +1,43 @@
+/**
+ * Fixed-window rate limiting on the pluggable store (see store.js; in-memory or file locally, KV in production).
+ * Identifiers (IPs, subnets) are hashed before they're used as keys.
+ * Counts are read-modify-write, so a burst of concurrent requests can get a few past the limit — fine for abuse
+ * protection. If the store is unavailable the request is allowed and the error logged.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+/** Client IP as seen by Vercel's proxy (first X-Forwarded-For entry). */
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '';
+  return first || String(req.headers['x-real-ip'] || '').trim() || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Count one request against a limit.
+ * @param {string} bucket - What is limited, e.g. 'checkout-ip'
+ * @param {string} id - Who is limited (hashed before storing)
+ * @param {{ limit: number, windowSeconds: number }} options
+ * @returns {Promise<{ allowed: boolean, count: number, limit: number, retryAfter: number }>} - retryAfter in seconds
+ */
+async function hit(bucket, id, options) {
+  const { limit, windowSeconds } = options;
+  const now = Math.floor(Date.now() / 1000);
+  const window = Math.floor(now / windowSeconds);
+  const retryAfter = (window + 1) * windowSeconds - now;
+  const hash = crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 32);
+  const key = `${bucket}:${hash}:${window}`;
+  try {
+    const store = getStore('rate-limit');
+    const count = ((await store.get(key)) || 0) + 1;
+    await store.set(key, count, { ttlSeconds: windowSeconds });
+    return { allowed: count <= limit, count, limit, retryAfter };
+  } catch (err) {
+    console.error('RateLimit: store failed, allowing request', bucket, err.message);
+    return { allowed: true, count: 0, limit, retryAfter: 0 };
+  }
+}
+
+module.exports = { getClientIp, hit };
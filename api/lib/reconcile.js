@@ -0,0 +1,286 @@
+/**
+ * Reconciliation: compare what Stripe says happened in a date range with the Shopify orders the webhook should
+ * have created and the Loop subscriptions it should be keeping in step. Read-only; used by /api/admin/reconcile
+ * and scripts/reconcile.js.
+ *
+ * Issue types:
+ *   missing_order      — a checkout session / paid invoice with no Shopify order (by stripe_session_id / stripe_invoice_id)
+ *   duplicate_order    — more than one Shopify order for the same session / invoice
+ *   amount_mismatch    — order total differs from what Stripe charged
+ *   currency_mismatch  — order currency differs from the Stripe currency
+ *   status_mismatch    — subscription active in Stripe but cancelled/missing in Loop (or the reverse),
+ *                        or the member's Shopify order is cancelled while the subscription is active
+ *   lookup_failed      — a Loop lookup failed, so the subscription couldn't be checked
+ */
+
+const shopify = require('./shopify');
+const loop = require('./loop');
+const { isOrderInvoice } = require('./orders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+// Orders are created a little after the Stripe event (later still when the outbox retries), so look past the range end.
+const ORDER_LAG_DAYS = 3;
+const STRIPE_ACTIVE = ['active', 'trialing', 'past_due'];
+const STRIPE_NEVER_STARTED = ['incomplete', 'incomplete_expired'];
+// A paused Loop subscription is still a member (e.g. paused while a payment is past due).
+const LOOP_ACTIVE = ['active', 'paused'];
+const CSV_COLUMNS = [
+  'type',
+  'stripe_object',
+  'stripe_id',
+  'email',
+  'shopify_order_ids',
+  'loop_subscription_ids',
+  'expected',
+  'actual',
+  'detail',
+];
+
+/**
+ * Parse a from/to pair (ISO dates or date-times). Defaults to the last 7 days; a bare `to` date covers that whole day.
+ * @param {string} [from]
+ * @param {string} [to]
+ * @param {{ maxDays?: number }} [options]
+ * @returns {{ from: Date, to: Date } | { error: string }}
+ */
+function parseRange(from, to, options = {}) {
+  const toDate = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    return { error: 'Invalid date. Use YYYY-MM-DD or an ISO date-time.' };
+  }
+  if (fromDate > toDate) return { error: '"from" must be before "to".' };
+  if (options.maxDays && toDate - fromDate > options.maxDays * DAY_MS) {
+    return { error: `Range is limited to ${options.maxDays} days.` };
+  }
+  return { from: fromDate, to: toDate };
+}
+
+async function collect(list) {
+  const items = [];
+  for await (const item of list) items.push(item);
+  return items;
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+function issue(type, fields) {
+  return Object.assign(
+    {
+      type,
+      stripe_object: null,
+      stripe_id: null,
+      email: null,
+      shopify_order_ids: [],
+      loop_subscription_ids: [],
+      expected: null,
+      actual: null,
+      detail: '',
+    },
+    fields
+  );
+}
+
+function formatAmount(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${String(currency || '').toUpperCase()}`.trim();
+}
+
+/**
+ * Subscriptions to compare with Loop: those created in the range, every current member (active, trialing or
+ * past_due, however old), and those cancelled in the range. Stripe can't filter on canceled_at, so cancelled
+ * subscriptions created before the range end are filtered here.
+ * @param {import('stripe').Stripe} stripe
+ * @param {{ gte: number, lte: number }} created - Range in Unix seconds
+ * @returns {Promise<Array<object>>} - With `customer` expanded, each subscription once
+ */
+async function listSubscriptions(stripe, created) {
+  const params = { limit: 100, expand: ['data.customer'] };
+  const lists = [
+    collect(stripe.subscriptions.list(Object.assign({ created, status: 'all' }, params))),
+    ...STRIPE_ACTIVE.map((status) => collect(stripe.subscriptions.list(Object.assign({ status }, params)))),
+  ];
+  const cancelledBefore = { status: 'canceled', created: { lte: created.lte } };
+  const cancelled = (await collect(stripe.subscriptions.list(Object.assign(cancelledBefore, params)))).filter((sub) => sub.canceled_at >= created.gte && sub.canceled_at <= created.lte);
+  const byId = new Map();
+  for (const sub of [...(await Promise.all(lists)).flat(), ...cancelled]) byId.set(sub.id, sub);
+  return [...byId.values()];
+}
+
+/**
+ * Build the drift report for a date range. Sessions and invoices are those created in the range; subscriptions
+ * are chosen as in listSubscriptions.
+ * @param {import('stripe').Stripe} stripe
+ * @param {{ from: Date, to: Date, loop?: boolean }} options - `loop` defaults to LOOP_SYNC_ENABLED
+ * @returns {Promise<{ from: string, to: string, generatedAt: string, checked: object, skipped: string[], summary: object, issues: object[] }>}
+ */
+async function runReconciliation(stripe, options) {
+  const { from, to } = options;
+  const checkLoop = options.loop ?? loop.isEnabled();
+  const created = { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) };
+  const issues = [];
+  const skipped = [];
+
+  // Only sessions from this app's checkout (it always stamps metadata.plan).
+  const sessions = (await collect(stripe.checkout.sessions.list({ created, status: 'complete', limit: 100 }))).filter(
+    (s) => s.metadata?.plan
+  );
+  // Same invoices the webhook turns into orders.
+  const invoices = (await collect(stripe.invoices.list({ created, status: 'paid', limit: 100 }))).filter(isOrderInvoice);
+  const subscriptions = await listSubscriptions(stripe, created);
+  const subscriptionStatus = new Map(subscriptions.map((sub) => [sub.id, sub.status]));
+
+  let orderCount = 0;
+  const config = shopify.getShopifyConfig();
+  if (!config) {
+    skipped.push('shopify');
+  } else {
+    const orders = await shopify.listShopifyOrdersCreatedBetween(
+      config.shopUrl,
+      config.shopToken,
+      from,
+      new Date(to.getTime() + ORDER_LAG_DAYS * DAY_MS)
+    );
+    orderCount = orders.length;
+    const ordersByAttribute = new Map();
+    for (const order of orders) {
+      for (const name of ['stripe_session_id', 'stripe_invoice_id']) {
+        const value = order.attributes[name];
+        if (!value) continue;
+        const key = `${name}:${value}`;
+        if (!ordersByAttribute.has(key)) ordersByAttribute.set(key, []);
+        ordersByAttribute.get(key).push(order);
+      }
+    }
+
+    const checkOrders = (stripeObject, attributeName, stripeId, expectedCents, currency, email, subscriptionId) => {
+      const matches = ordersByAttribute.get(`${attributeName}:${stripeId}`) || [];
+      const base = { stripe_object: stripeObject, stripe_id: stripeId, email, shopify_order_ids: matches.map((o) => o.id) };
+      if (matches.length === 0) {
+        issues.push(issue('missing_order', Object.assign(base, { expected: formatAmount(expectedCents, currency) })));
+        return;
+      }
+      if (matches.length > 1) {
+        issues.push(issue('duplicate_order', Object.assign({}, base, { detail: matches.map((o) => o.name).join(', ') })));
+      }
+      const order = matches[0];
+      if (String(order.currencyCode).toLowerCase() !== String(currency).toLowerCase()) {
+        issues.push(
+          issue('currency_mismatch', Object.assign({}, base, { expected: String(currency).toUpperCase(), actual: order.currencyCode }))
+        );
+      } else if (order.totalCents !== expectedCents) {
+        issues.push(
+          issue(
+            'amount_mismatch',
+            Object.assign({}, base, {
+              expected: formatAmount(expectedCents, currency),
+              actual: formatAmount(order.totalCents, order.currencyCode),
+            })
+          )
+        );
+      }
+      const status = subscriptionId ? subscriptionStatus.get(subscriptionId) : null;
+      if (order.cancelled && STRIPE_ACTIVE.includes(status)) {
+        issues.push(
+          issue(
+            'status_mismatch',
+            Object.assign({}, base, {
+              expected: 'open',
+              actual: 'cancelled',
+              detail: `Shopify order ${order.name} is cancelled but subscription ${subscriptionId} is ${status}`,
+            })
+          )
+        );
+      }
+    };
+
+    for (const session of sessions) {
+      checkOrders(
+        'checkout_session',
+        'stripe_session_id',
+        session.id,
+        session.amount_total ?? 0,
+        session.currency,
+        session.customer_details?.email || session.customer_email || null,
+        idOf(session.subscription)
+      );
+    }
+    for (const invoice of invoices) {
+      checkOrders('invoice', 'stripe_invoice_id', invoice.id, invoice.amount_paid, invoice.currency, invoice.customer_email, null);
+    }
+  }
+
+  let loopChecked = 0;
+  if (!checkLoop) {
+    skipped.push('loop');
+  } else {
+    for (const sub of subscriptions) {
+      if (STRIPE_NEVER_STARTED.includes(sub.status)) continue;
+      const email = sub.customer && typeof sub.customer === 'object' && !sub.customer.deleted ? sub.customer.email : null;
+      const base = { stripe_object: 'subscription', stripe_id: sub.id, email };
+      const result = await loop.getSubscriptionStatuses(email, { subscriptionId: sub.metadata?.loop_subscription_id });
+      if (!result.ok) {
+        issues.push(issue('lookup_failed', Object.assign(base, { detail: `Loop: ${result.error}` })));
+        continue;
+      }
+      loopChecked += 1;
+      const loopIds = result.subscriptions.map((s) => s.id);
+      const loopActive = result.subscriptions.some((s) => LOOP_ACTIVE.includes(s.status));
+      const stripeActive = STRIPE_ACTIVE.includes(sub.status);
+      if (stripeActive !== loopActive) {
+        const loopState = result.subscriptions.length
+          ? result.subscriptions.map((s) => s.status).join(', ')
+          : 'missing';
+        issues.push(
+          issue(
+            'status_mismatch',
+            Object.assign(base, {
+              loop_subscription_ids: loopIds,
+              expected: `Stripe ${sub.status}`,
+              actual: `Loop ${loopState}`,
+              detail: stripeActive ? 'Active in Stripe but not in Loop' : 'Cancelled in Stripe but active in Loop',
+            })
+          )
+        );
+      }
+    }
+  }
+
+  const summary = {};
+  for (const i of issues) summary[i.type] = (summary[i.type] || 0) + 1;
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generatedAt: new Date().toISOString(),
+    checked: {
+      checkoutSessions: sessions.length,
+      invoices: invoices.length,
+      subscriptions: subscriptions.length,
+      shopifyOrders: orderCount,
+      loopSubscriptions: loopChecked,
+    },
+    skipped,
+    summary,
+    issues,
+  };
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(' ') : value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report's issues as CSV (one row per issue).
+ * @param {{ issues: object[] }} report
+ * @returns {string}
+ */
+function toCsv(report) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const i of report.issues) rows.push(CSV_COLUMNS.map((col) => csvCell(i[col])).join(','));
+  return rows.join('\n') + '\n';
+}
+
+module.exports = { parseRange, runReconciliation, toCsv };
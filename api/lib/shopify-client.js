@@ -0,0 +1,129 @@
+/**
+ * Shopify Admin GraphQL client. Every Shopify request (shopify.js, and through it the webhook, the outbox worker
+ * and the scripts) goes through shopifyGraphql, so they share one API version, timeout and retry policy:
+ *   - SHOPIFY_API_VERSION (default 2024-04) is the Admin API version.
+ *   - Each attempt times out after SHOPIFY_TIMEOUT_MS (default 10000).
+ *   - 429 responses wait for Retry-After, and THROTTLED GraphQL errors wait until the query cost bucket has
+ *     refilled enough (extensions.cost). Shopify didn't run those requests, so they're always retried.
+ *   - 5xx responses, network errors and timeouts are retried for queries and for mutations the caller marks
+ *     `idempotent` (e.g. tagsAdd). Any other mutation may already have run, e.g. draftOrderCreate would create a
+ *     second order, so the error is thrown and the caller decides (the outbox looks for the order first).
+ *   - At most SHOPIFY_MAX_RETRIES (default 3) retries. A wait longer than MAX_WAIT_MS throws instead, leaving the
+ *     retry to the outbox rather than holding the function open.
+ */
+
+const DEFAULT_API_VERSION = '2024-04';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const MAX_WAIT_MS = 10000;
+const BACKOFF_BASE_MS = 500;
+
+function apiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+function timeoutMs() {
+  const n = parseInt(process.env.SHOPIFY_TIMEOUT_MS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+function maxRetries() {
+  const n = parseInt(process.env.SHOPIFY_MAX_RETRIES, 10);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_MAX_RETRIES;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function shopifyError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+/** Retry-After is in seconds (Shopify sends e.g. "2.0"); default 2s. */
+function retryAfterMs(res) {
+  const seconds = parseFloat(res.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : 2000;
+}
+
+/** Time until the bucket has the points the query asked for, from the THROTTLED response's cost extension. */
+function throttleWaitMs(json) {
+  const cost = json.extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) return 1000;
+  const missing = (cost.requestedQueryCost ?? 0) - (status.currentlyAvailable ?? 0);
+  return Math.max(Math.ceil(missing / status.restoreRate) * 1000, 1000);
+}
+
+function isThrottled(json) {
+  return Array.isArray(json.errors) && json.errors.some((e) => e.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Run one request: returns `{ json }`, or `{ error, waitMs?, transient? }` for a failure. `waitMs` marks a
+ * rejected (never run) request; `transient` one that may or may not have run.
+ */
+async function attempt(url, shopToken, body) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': shopToken },
+      body,
+      signal: AbortSignal.timeout(timeoutMs()),
+    });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    const message = timedOut
+      ? `Shopify GraphQL request timed out after ${timeoutMs()}ms`
+      : `Shopify GraphQL request failed: ${err.message}`;
+    return { error: shopifyError(message, { code: timedOut ? 'timeout' : 'network_error' }), transient: true };
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const error = shopifyError(`Shopify GraphQL request failed: ${res.status} ${text.slice(0, 500)}`, {
+      statusCode: res.status,
+    });
+    if (res.status === 429) return { error, waitMs: retryAfterMs(res) };
+    return { error, transient: res.status >= 500 };
+  }
+  const json = await res.json();
+  if (isThrottled(json)) {
+    const error = shopifyError('Shopify GraphQL request throttled', { code: 'throttled' });
+    return { error, waitMs: throttleWaitMs(json) };
+  }
+  return { json };
+}
+
+/**
+ * Run a GraphQL Admin API request, retrying as described above. Throws on HTTP errors and top-level GraphQL
+ * errors (userErrors are left to the caller).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} query - Query or mutation document
+ * @param {object} [variables]
+ * @param {{ idempotent?: boolean }} [options] - idempotent: a mutation that is safe to run twice (queries always are)
+ * @returns {Promise<object>} - The `data` object
+ */
+async function shopifyGraphql(shopUrl, shopToken, query, variables, options = {}) {
+  const url = `https://${shopUrl}/admin/api/${apiVersion()}/graphql.json`;
+  const body = JSON.stringify({ query, variables });
+  const idempotent = options.idempotent ?? !/^\s*mutation\b/.test(query);
+  const retries = maxRetries();
+  for (let retry = 0; ; retry++) {
+    const result = await attempt(url, shopToken, body);
+    if (result.json) {
+      if (result.json.errors) {
+        throw shopifyError(`Shopify GraphQL errors: ${JSON.stringify(result.json.errors)}`, { code: 'graphql_error' });
+      }
+      return result.json.data || {};
+    }
+    let waitMs = result.waitMs;
+    if (waitMs == null && result.transient && idempotent) waitMs = BACKOFF_BASE_MS * 2 ** retry;
+    if (waitMs == null || retry >= retries || waitMs > MAX_WAIT_MS) throw result.error;
+    console.warn(`Shopify: retrying in ${waitMs}ms after`, result.error.message.slice(0, 200));
+    await sleep(waitMs);
+  }
+}
+
+module.exports = { shopifyGraphql, apiVersion };
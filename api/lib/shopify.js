@@ -0,0 +1,626 @@
+/**
+ * Shopify Admin API helpers shared by the webhook and the outbox worker. All requests go through the GraphQL
+ * client in shopify-client.js (API version, timeouts, throttling and retries).
+ */
+
+const { shopifyGraphql } = require('./shopify-client');
+
+/**
+ * Create a Shopify draft order via GraphQL (supports variant + priceOverride so receipt shows exact product at Stripe price).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {object} draftOrderPayload - { line_items: [{ variant_id?, title?, price }], email?, customer_id?, note, note_attributes?, tags?, source_name?, applied_discount?: { title, amount, description? }, tax_lines?: [{ title, rate, price }], taxes_included?, billing_address? }
+ * @param {string} currencyCode - e.g. 'AUD'
+ * @param {{ complete?: boolean }} [options] - complete: false leaves the draft order open (e.g. abandoned checkouts)
+ * @returns {Promise<{ ok: boolean, error?: string, customerId?: string, orderId?: string, draftOrderId?: string }>}
+ */
+async function createShopifyDraftOrderAndComplete(shopUrl, shopToken, draftOrderPayload, currencyCode = 'AUD', options = {}) {
+  const lineItems = (draftOrderPayload.line_items || []).map((item) => {
+    const priceInput = { amount: String(item.price), currencyCode };
+    if (item.variant_id != null) {
+      return {
+        variantId: `gid://shopify/ProductVariant/${item.variant_id}`,
+        quantity: item.quantity ?? 1,
+        priceOverride: priceInput,
+      };
+    }
+    return {
+      title: item.title || 'Subscription',
+      quantity: item.quantity ?? 1,
+      originalUnitPriceWithCurrency: priceInput,
+    };
+  });
+
+  const customAttributes = (draftOrderPayload.note_attributes || []).map((attr) => ({
+    key: attr.name,
+    value: String(attr.value),
+  }));
+
+  const tagsInput = draftOrderPayload.tags
+    ? (Array.isArray(draftOrderPayload.tags)
+        ? draftOrderPayload.tags
+        : String(draftOrderPayload.tags).split(',').map((t) => t.trim()).filter(Boolean))
+    : null;
+  const input = {
+    lineItems,
+    email: draftOrderPayload.email || null,
+    note: draftOrderPayload.note || null,
+    customAttributes: customAttributes.length ? customAttributes : null,
+    tags: tagsInput,
+    sourceName: draftOrderPayload.source_name || null,
+  };
+  // Known Shopify customer (e.g. stored on the Stripe subscription); otherwise Shopify matches by email.
+  if (draftOrderPayload.customer_id) {
+    input.purchasingEntity = { customerId: `gid://shopify/Customer/${draftOrderPayload.customer_id}` };
+  }
+  const billing = draftOrderPayload.billing_address;
+  if (billing) {
+    const [firstName, ...lastName] = String(billing.name || '').trim().split(/\s+/);
+    input.billingAddress = {
+      firstName: firstName || null,
+      lastName: lastName.join(' ') || null,
+      address1: billing.address1 || null,
+      address2: billing.address2 || null,
+      city: billing.city || null,
+      provinceCode: billing.province_code || null,
+      zip: billing.zip || null,
+      countryCode: billing.country_code,
+    };
+  }
+  // Tax Stripe charged (see orders.js addTax). Draft orders don't take tax lines, so the order is tax-exempt (Shopify
+  // adds none of its own) and carries Stripe's exact tax as non-taxable lines (see addStripeTaxLines).
+  if (draftOrderPayload.tax_lines) {
+    input.taxExempt = true;
+    const inclusive = Boolean(draftOrderPayload.taxes_included);
+    input.lineItems = addStripeTaxLines(lineItems, draftOrderPayload.tax_lines, inclusive, currencyCode);
+  }
+  // Order-level discount (e.g. Stripe promo code); line prices are pre-discount so the total matches what Stripe charged.
+  if (draftOrderPayload.applied_discount && Number(draftOrderPayload.applied_discount.amount) > 0) {
+    input.appliedDiscount = {
+      title: draftOrderPayload.applied_discount.title || 'Discount',
+      description: draftOrderPayload.applied_discount.description || null,
+      value: Number(draftOrderPayload.applied_discount.amount),
+      valueType: 'FIXED_AMOUNT',
+    };
+  }
+  const createMutation = `
+    mutation draftOrderCreate($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder { id }
+        userErrors { message field }
+      }
+    }
+  `;
+  // Not retried on a 5xx or timeout (it may have gone through); the outbox checks for the order before retrying.
+  let createData;
+  try {
+    createData = (await shopifyGraphql(shopUrl, shopToken, createMutation, { input })).draftOrderCreate;
+  } catch (err) {
+    console.error('Shopify draft order create failed', err.message);
+    return { ok: false, error: err.message };
+  }
+  const userErrors = createData?.userErrors || [];
+  if (userErrors.length > 0) {
+    const msg = userErrors.map((e) => e.message).join('; ');
+    console.error('Shopify draftOrderCreate userErrors', msg);
+    return { ok: false, error: msg };
+  }
+  const draftOrderGid = createData?.draftOrder?.id;
+  if (!draftOrderGid) {
+    return { ok: false, error: 'No draft order id returned' };
+  }
+  if (options.complete === false) return { ok: true, draftOrderId: draftOrderGid };
+
+  const completeMutation = `
+    mutation draftOrderComplete($id: ID!) {
+      draftOrderComplete(id: $id) {
+        draftOrder { id order { id legacyResourceId customer { id legacyResourceId } } }
+        userErrors { message field }
+      }
+    }
+  `;
+  let completeData;
+  try {
+    const data = await shopifyGraphql(shopUrl, shopToken, completeMutation, { id: draftOrderGid });
+    completeData = data.draftOrderComplete;
+  } catch (err) {
+    console.error('Shopify draft order complete failed', err.message);
+    return { ok: false, error: err.message };
+  }
+  const completeErrors = completeData?.userErrors || [];
+  if (completeErrors.length > 0) {
+    const msg = completeErrors.map((e) => e.message).join('; ');
+    console.error('Shopify draftOrderComplete userErrors', msg);
+    return { ok: false, error: msg };
+  }
+  const order = completeData?.draftOrder?.order;
+  const orderId = order?.legacyResourceId ?? order?.id ?? null;
+  const customerId = order?.customer?.legacyResourceId ?? order?.customer?.id ?? null;
+  return {
+    ok: true,
+    customerId: customerId != null ? String(customerId) : undefined,
+    orderId: orderId != null ? String(orderId) : undefined,
+  };
+}
+
+/**
+ * Add Stripe's tax to draft order line items as one non-taxable custom line per tax rate (e.g. "GST 10%"), so the
+ * order total and its tax match what Stripe charged. With inclusive tax the item prices already contain the tax, so
+ * it is first taken out of them, split in proportion to each line's price (any rounding cent goes to a line of
+ * quantity 1).
+ * @param {Array<object>} lineItems - DraftOrderLineItemInput list
+ * @param {Array<{ title: string, rate?: number|null, price: string }>} taxLines - Stripe tax, in major units
+ * @param {boolean} inclusive - Whether the item prices include the tax
+ * @param {string} currencyCode
+ * @returns {Array<object>} - New line items, tax lines last
+ */
+function addStripeTaxLines(lineItems, taxLines, inclusive, currencyCode) {
+  const cents = (amount) => Math.round(Number(amount) * 100);
+  const money = (amountCents) => ({ amount: (amountCents / 100).toFixed(2), currencyCode });
+  const taxCents = taxLines.reduce((sum, line) => sum + cents(line.price), 0);
+  let items = lineItems;
+  if (inclusive && taxCents > 0) {
+    const priceOf = (item) => cents((item.priceOverride || item.originalUnitPriceWithCurrency).amount);
+    const gross = lineItems.map((item) => priceOf(item) * item.quantity);
+    const totalGross = gross.reduce((sum, g) => sum + g, 0);
+    const unitTax = lineItems.map((item, i) =>
+      totalGross ? Math.floor((taxCents * gross[i]) / totalGross / item.quantity) : 0
+    );
+    let remainder = taxCents - unitTax.reduce((sum, t, i) => sum + t * lineItems[i].quantity, 0);
+    const single = lineItems.findIndex((item, i) => item.quantity === 1 && priceOf(item) - unitTax[i] >= remainder);
+    if (single !== -1) {
+      unitTax[single] += remainder;
+      remainder = 0;
+    }
+    if (remainder) console.warn('Shopify: could not take', remainder, 'cent(s) of included tax out of the line prices');
+    items = lineItems.map((item, i) => {
+      const price = money(priceOf(item) - unitTax[i]);
+      return item.priceOverride ? { ...item, priceOverride: price } : { ...item, originalUnitPriceWithCurrency: price };
+    });
+  }
+  const taxItems = taxLines
+    .filter((line) => cents(line.price) > 0)
+    .map((line) => ({
+      title: `${line.title || 'Tax'}${line.rate != null ? ` ${+(line.rate * 100).toFixed(4)}%` : ''}`,
+      quantity: 1,
+      originalUnitPriceWithCurrency: money(cents(line.price)),
+      taxable: false,
+      requiresShipping: false,
+    }));
+  return [...items, ...taxItems];
+}
+
+/**
+ * Find an existing Shopify order whose note attributes contain name=value (e.g. stripe_session_id=cs_...).
+ * Shopify search cannot filter on custom attributes, so we narrow by email and page through all of that customer's
+ * orders (newest first, stopping at a match). Without an email, only orders from the last 60 days are searched.
+ * Requires the read_orders scope (read_all_orders for orders older than 60 days).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} name - Note attribute name
+ * @param {string} value - Note attribute value
+ * @param {string} [email] - Customer email to narrow the search
+ * @returns {Promise<string|null>} - Order ID (legacy numeric) or null
+ */
+async function findShopifyOrderByNoteAttribute(shopUrl, shopToken, name, value, email) {
+  if (!value) return null;
+  const since = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const search = email && email.trim() ? `email:${email.trim()}` : `created_at:>=${since}`;
+  const query = `
+    query ordersByAttribute($search: String!, $after: String) {
+      orders(first: 100, after: $after, query: $search, sortKey: CREATED_AT, reverse: true) {
+        pageInfo { hasNextPage endCursor }
+        nodes { id legacyResourceId customAttributes { key value } }
+      }
+    }
+  `;
+  let after = null;
+  do {
+    const data = await shopifyGraphql(shopUrl, shopToken, query, { search, after });
+    const page = data.orders || { nodes: [], pageInfo: {} };
+    const match = page.nodes.find((o) => (o.customAttributes || []).some((a) => a.key === name && a.value === value));
+    if (match) return String(match.legacyResourceId ?? match.id);
+    after = page.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return null;
+}
+
+/**
+ * Get Shopify customer ID from an order (for Loop API - customer must be the order's customer).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} orderId - Shopify order ID (legacy numeric or GID)
+ * @returns {Promise<string|null>} - Customer ID (legacy numeric) or null when the order or its customer doesn't exist
+ */
+async function getShopifyCustomerIdFromOrder(shopUrl, shopToken, orderId) {
+  if (!orderId || !String(orderId).trim()) return null;
+  const data = await shopifyGraphql(
+    shopUrl,
+    shopToken,
+    `query orderCustomer($id: ID!) { order(id: $id) { customer { legacyResourceId } } }`,
+    { id: toOrderGid(String(orderId).trim()) }
+  );
+  const id = data.order?.customer?.legacyResourceId ?? null;
+  return id != null ? String(id) : null;
+}
+
+/**
+ * Get Shopify customer ID by email (for Loop API customerShopifyId).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} email - Customer email
+ * @returns {Promise<string|null>} - Customer ID (legacy numeric) or null
+ */
+async function getShopifyCustomerIdByEmail(shopUrl, shopToken, email) {
+  if (!email || !email.trim()) return null;
+  const data = await shopifyGraphql(
+    shopUrl,
+    shopToken,
+    `query customerIdByEmail($search: String!) { customers(first: 1, query: $search) { nodes { legacyResourceId } } }`,
+    { search: `email:"${email.trim().replace(/"/g, '')}"` }
+  );
+  const id = data.customers?.nodes?.[0]?.legacyResourceId ?? null;
+  return id != null ? String(id) : null;
+}
+
+function toOrderGid(orderId) {
+  return String(orderId).startsWith('gid://') ? String(orderId) : `gid://shopify/Order/${orderId}`;
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount || '0') * 100);
+}
+
+/**
+ * Load the payment state of an order: currency, amount received/refunded (cents), parent sale transaction and tags.
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} orderId - Shopify order ID (legacy numeric or GID)
+ * @returns {Promise<{ id: string, currencyCode: string, receivedCents: number, refundedCents: number, saleTransaction: object|null, tags: string[] }|null>}
+ */
+async function getShopifyOrderPaymentState(shopUrl, shopToken, orderId) {
+  const query = `
+    query orderPaymentState($id: ID!) {
+      order(id: $id) {
+        id
+        currencyCode
+        tags
+        totalReceivedSet { shopMoney { amount } }
+        totalRefundedSet { shopMoney { amount } }
+        transactions(first: 25) { id kind status gateway }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(shopUrl, shopToken, query, { id: toOrderGid(orderId) });
+  const order = data.order;
+  if (!order) return null;
+  const saleTransaction =
+    (order.transactions || []).find((t) => (t.kind === 'SALE' || t.kind === 'CAPTURE') && t.status === 'SUCCESS') || null;
+  return {
+    id: order.id,
+    currencyCode: order.currencyCode,
+    receivedCents: toCents(order.totalReceivedSet?.shopMoney?.amount),
+    refundedCents: toCents(order.totalRefundedSet?.shopMoney?.amount),
+    saleTransaction,
+    tags: order.tags || [],
+  };
+}
+
+/**
+ * Refund an amount on an order against its original sale transaction (no line items restocked).
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {object} orderState - From getShopifyOrderPaymentState
+ * @param {number} amountCents - Amount to refund now
+ * @param {string} [note] - Refund note shown in Shopify
+ * @returns {Promise<{ ok: boolean, error?: string, refundId?: string }>}
+ */
+async function createShopifyRefund(shopUrl, shopToken, orderState, amountCents, note) {
+  if (!orderState.saleTransaction) return { ok: false, error: 'Order has no successful sale transaction to refund' };
+  const mutation = `
+    mutation refundCreate($input: RefundInput!) {
+      refundCreate(input: $input) {
+        refund { id }
+        userErrors { message field }
+      }
+    }
+  `;
+  const input = {
+    orderId: orderState.id,
+    note: note || null,
+    notify: false,
+    transactions: [
+      {
+        orderId: orderState.id,
+        parentId: orderState.saleTransaction.id,
+        gateway: orderState.saleTransaction.gateway,
+        kind: 'REFUND',
+        amount: (amountCents / 100).toFixed(2),
+      },
+    ],
+  };
+  const data = await shopifyGraphql(shopUrl, shopToken, mutation, { input });
+  const userErrors = data.refundCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    const msg = userErrors.map((e) => e.message).join('; ');
+    console.error('Shopify refundCreate userErrors', msg);
+    return { ok: false, error: msg };
+  }
+  return { ok: true, refundId: data.refundCreate?.refund?.id };
+}
+
+/**
+ * Add and/or remove tags on an order, customer or any other taggable resource.
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} id - Shopify GID (or legacy order ID)
+ * @param {{ add?: string[], remove?: string[] }} changes
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+async function updateShopifyTags(shopUrl, shopToken, id, changes) {
+  const gid = String(id).startsWith('gid://') ? String(id) : toOrderGid(id);
+  const errors = [];
+  if (changes.remove && changes.remove.length > 0) {
+    const data = await shopifyGraphql(
+      shopUrl,
+      shopToken,
+      `mutation tagsRemove($id: ID!, $tags: [String!]!) { tagsRemove(id: $id, tags: $tags) { userErrors { message } } }`,
+      { id: gid, tags: changes.remove },
+      { idempotent: true }
+    );
+    errors.push(...(data.tagsRemove?.userErrors || []));
+  }
+  if (changes.add && changes.add.length > 0) {
+    const data = await shopifyGraphql(
+      shopUrl,
+      shopToken,
+      `mutation tagsAdd($id: ID!, $tags: [String!]!) { tagsAdd(id: $id, tags: $tags) { userErrors { message } } }`,
+      { id: gid, tags: changes.add },
+      { idempotent: true }
+    );
+    errors.push(...(data.tagsAdd?.userErrors || []));
+  }
+  if (errors.length > 0) {
+    const msg = errors.map((e) => e.message).join('; ');
+    console.error('Shopify tags update userErrors', msg);
+    return { ok: false, error: msg };
+  }
+  return { ok: true };
+}
+
+/**
+ * Append a line to an order's note (e.g. "Plan changed from monthly to yearly"). Skips it if the note already
+ * contains the line, so a retried action doesn't write it twice.
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {string} orderId - Shopify order ID (legacy numeric or GID)
+ * @param {string} line - Text to append
+ * @returns {Promise<{ ok: boolean, error?: string, unchanged?: boolean }>}
+ */
+async function appendShopifyOrderNote(shopUrl, shopToken, orderId, line) {
+  const id = toOrderGid(orderId);
+  const current = await shopifyGraphql(shopUrl, shopToken, `query orderNote($id: ID!) { order(id: $id) { id note } }`, { id });
+  if (!current.order) return { ok: false, error: `Shopify order ${orderId} not found` };
+  const note = current.order.note || '';
+  if (note.includes(line)) return { ok: true, unchanged: true };
+  const data = await shopifyGraphql(
+    shopUrl,
+    shopToken,
+    `mutation orderUpdate($input: OrderInput!) { orderUpdate(input: $input) { userErrors { message } } }`,
+    { input: { id, note: note ? `${note}\n${line}` : line } },
+    { idempotent: true }
+  );
+  const userErrors = data.orderUpdate?.userErrors || [];
+  if (userErrors.length > 0) {
+    const msg = userErrors.map((e) => e.message).join('; ');
+    console.error('Shopify orderUpdate userErrors', msg);
+    return { ok: false, error: msg };
+  }
+  return { ok: true };
+}
+
+/**
+ * All orders created in a date range with their note attributes, totals and cancellation state (for reconciliation).
+ * Amounts are in the order's own (presentment) currency, which is the Stripe charge currency for webhook orders.
+ * Orders older than 60 days need the read_all_orders scope.
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {Date} from - Start of range
+ * @param {Date} to - End of range
+ * @returns {Promise<Array<{ id: string, name: string, createdAt: string, email: string|null, cancelled: boolean, currencyCode: string, totalCents: number, attributes: Object<string, string> }>>}
+ */
+async function listShopifyOrdersCreatedBetween(shopUrl, shopToken, from, to) {
+  const query = `
+    query ordersPage($search: String!, $after: String) {
+      orders(first: 100, after: $after, query: $search, sortKey: CREATED_AT) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          legacyResourceId
+          name
+          createdAt
+          email
+          cancelledAt
+          totalPriceSet { presentmentMoney { amount currencyCode } }
+          customAttributes { key value }
+        }
+      }
+    }
+  `;
+  const search = `created_at:>='${from.toISOString()}' created_at:<='${to.toISOString()}'`;
+  const orders = [];
+  let after = null;
+  do {
+    const data = await shopifyGraphql(shopUrl, shopToken, query, { search, after });
+    const page = data.orders || { nodes: [], pageInfo: {} };
+    for (const o of page.nodes) {
+      const attributes = {};
+      for (const a of o.customAttributes || []) attributes[a.key] = a.value;
+      orders.push({
+        id: String(o.legacyResourceId ?? o.id),
+        name: o.name,
+        createdAt: o.createdAt,
+        email: o.email || null,
+        cancelled: Boolean(o.cancelledAt),
+        currencyCode: o.totalPriceSet?.presentmentMoney?.currencyCode || null,
+        totalCents: toCents(o.totalPriceSet?.presentmentMoney?.amount),
+        attributes,
+      });
+    }
+    after = page.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return orders;
+}
+
+function userErrorMessage(errors) {
+  return errors.map((e) => e.message).join('; ');
+}
+
+function isPhoneError(errors) {
+  return errors.some((e) => (e.field || []).includes('phone') || /phone/i.test(e.message || ''));
+}
+
+/**
+ * Create or update the Shopify customer for an order's buyer (name, phone, billing address, email marketing
+ * consent), matched by email. Existing values are never cleared and consent is only ever granted here, not
+ * withdrawn. A phone Shopify rejects (invalid, or taken by another customer) is dropped rather than failing.
+ * @param {string} shopUrl - Shop domain without protocol
+ * @param {string} shopToken - Shopify Admin API access token
+ * @param {{ email: string, first_name?: string, last_name?: string, phone?: string, marketing_consent?: boolean,
+ *   consent_at?: string, address?: { address1?, address2?, city?, province_code?, zip?, country_code } }} customer
+ * @returns {Promise<{ ok: boolean, error?: string, customerId?: string, created?: boolean }>} - customerId is the legacy numeric ID
+ */
+async function upsertShopifyCustomer(shopUrl, shopToken, customer) {
+  const email = String(customer.email || '').trim();
+  if (!email) return { ok: false, error: 'Customer has no email' };
+  const consent = customer.marketing_consent
+    ? {
+        marketingState: 'SUBSCRIBED',
+        marketingOptInLevel: 'SINGLE_OPT_IN',
+        consentUpdatedAt: customer.consent_at || new Date().toISOString(),
+      }
+    : null;
+  const fields = {};
+  if (customer.first_name) fields.firstName = customer.first_name;
+  if (customer.last_name) fields.lastName = customer.last_name;
+  if (customer.phone) fields.phone = customer.phone;
+
+  const found = await shopifyGraphql(
+    shopUrl,
+    shopToken,
+    `query customerByEmail($search: String!) {
+      customers(first: 1, query: $search) { nodes { id legacyResourceId emailMarketingConsent { marketingState } } }
+    }`,
+    { search: `email:"${email.replace(/"/g, '')}"` }
+  );
+  const existing = found.customers?.nodes?.[0] || null;
+
+  // Create/update once, and again without the phone if Shopify rejects it. Updates are safe to retry, creates aren't.
+  async function save(mutation, input) {
+    const options = { idempotent: Boolean(input.id) };
+    let data = await shopifyGraphql(shopUrl, shopToken, mutation, { input }, options);
+    let result = data.customerCreate || data.customerUpdate;
+    if (result.userErrors.length > 0 && input.phone && isPhoneError(result.userErrors)) {
+      console.warn('Shopify: customer phone rejected, saving without it', userErrorMessage(result.userErrors));
+      const { phone, ...withoutPhone } = input;
+      if (withoutPhone.addresses) withoutPhone.addresses = withoutPhone.addresses.map(({ phone: _p, ...a }) => a);
+      data = await shopifyGraphql(shopUrl, shopToken, mutation, { input: withoutPhone }, options);
+      result = data.customerCreate || data.customerUpdate;
+    }
+    return result;
+  }
+
+  if (!existing) {
+    const input = Object.assign({ email }, fields);
+    if (customer.address?.country_code) {
+      input.addresses = [
+        {
+          firstName: fields.firstName || null,
+          lastName: fields.lastName || null,
+          phone: fields.phone || null,
+          address1: customer.address.address1 || null,
+          address2: customer.address.address2 || null,
+          city: customer.address.city || null,
+          provinceCode: customer.address.province_code || null,
+          zip: customer.address.zip || null,
+          countryCode: customer.address.country_code,
+        },
+      ];
+    }
+    if (consent) input.emailMarketingConsent = consent;
+    const result = await save(
+      `mutation customerCreate($input: CustomerInput!) {
+        customerCreate(input: $input) { customer { id legacyResourceId } userErrors { field message } }
+      }`,
+      input
+    );
+    if (result.userErrors.length > 0) {
+      const msg = userErrorMessage(result.userErrors);
+      console.error('Shopify customerCreate userErrors', msg);
+      return { ok: false, error: msg };
+    }
+    return { ok: true, customerId: String(result.customer.legacyResourceId), created: true };
+  }
+
+  if (Object.keys(fields).length > 0) {
+    const result = await save(
+      `mutation customerUpdate($input: CustomerInput!) {
+        customerUpdate(input: $input) { customer { id } userErrors { field message } }
+      }`,
+      Object.assign({ id: existing.id }, fields)
+    );
+    if (result.userErrors.length > 0) {
+      const msg = userErrorMessage(result.userErrors);
+      console.error('Shopify customerUpdate userErrors', msg);
+      return { ok: false, error: msg };
+    }
+  }
+  if (consent && existing.emailMarketingConsent?.marketingState !== 'SUBSCRIBED') {
+    const data = await shopifyGraphql(
+      shopUrl,
+      shopToken,
+      `mutation customerEmailMarketingConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
+        customerEmailMarketingConsentUpdate(input: $input) { userErrors { field message } }
+      }`,
+      { input: { customerId: existing.id, emailMarketingConsent: consent } },
+      { idempotent: true }
+    );
+    const userErrors = data.customerEmailMarketingConsentUpdate?.userErrors || [];
+    if (userErrors.length > 0) {
+      const msg = userErrorMessage(userErrors);
+      console.error('Shopify customerEmailMarketingConsentUpdate userErrors', msg);
+      return { ok: false, error: msg };
+    }
+  }
+  return { ok: true, customerId: String(existing.legacyResourceId), created: false };
+}
+
+/**
+ * Read Shopify settings from env. Returns null when the shop domain or token is missing.
+ * @returns {{ shopUrl: string, shopToken: string, sourceName: string|null, orderTags: string|null }|null}
+ */
+function getShopifyConfig() {
+  const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
+  const shopToken = process.env.SHOPIFY_ACCESS_TOKEN;
+  if (!shopDomain || !shopToken) return null;
+  return {
+    shopUrl: shopDomain.replace(/^https?:\/\//, ''),
+    shopToken,
+    sourceName: process.env.SHOPIFY_SOURCE_NAME || null,
+    orderTags: process.env.SHOPIFY_ORDER_TAGS || null,
+  };
+}
+
+module.exports = {
+  getShopifyConfig,
+  createShopifyDraftOrderAndComplete,
+  findShopifyOrderByNoteAttribute,
+  getShopifyCustomerIdFromOrder,
+  getShopifyCustomerIdByEmail,
+  upsertShopifyCustomer,
+  getShopifyOrderPaymentState,
+  createShopifyRefund,
+  updateShopifyTags,
+  appendShopifyOrderNote,
+  listShopifyOrdersCreatedBetween,
+};
@@ -0,0 +1,228 @@
+/**
+ * Small pluggable key/value store used for webhook idempotency (and other state that must
+ * survive between serverless invocations).
+ *
+ * Backend is chosen with STORE_BACKEND:
+ *   - "kv"     — hosted Redis-compatible KV over REST (Vercel KV / Upstash). Needs KV_REST_API_URL and KV_REST_API_TOKEN.
+ *   - "file"   — JSON file on local disk (default for local runs). Path from STORE_FILE_DIR (default: OS temp dir).
+ *   - "memory" — in-process only; lost on cold start. Useful for tests.
+ * When STORE_BACKEND is not set, "kv" is used if KV_REST_API_URL is set, otherwise "file".
+ *
+ * Every backend exposes the same async interface:
+ *   get(key) -> value | null
+ *   set(key, value, { ttlSeconds }?)
+ *   setIfAbsent(key, value, { ttlSeconds }?) -> boolean (true if the key was written)
+ *   delete(key)
+ *   list(prefix?) -> [{ key, value }]
+ * Values are JSON-serialisable. Keys are namespaced per store (getStore('processed-events')).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function nowMs() {
+  return Date.now();
+}
+
+function expiresAt(options) {
+  const ttl = options && options.ttlSeconds;
+  return ttl && ttl > 0 ? nowMs() + ttl * 1000 : null;
+}
+
+function isLive(entry) {
+  return entry && (entry.expiresAt == null || entry.expiresAt > nowMs());
+}
+
+/** In-memory backend. Shared per namespace for the lifetime of the process. */
+const memoryMaps = new Map();
+
+function createMemoryStore(namespace) {
+  if (!memoryMaps.has(namespace)) memoryMaps.set(namespace, new Map());
+  const map = memoryMaps.get(namespace);
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!isLive(entry)) {
+        map.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, options) {
+      map.set(key, { value, expiresAt: expiresAt(options) });
+    },
+    async setIfAbsent(key, value, options) {
+      if (isLive(map.get(key))) return false;
+      map.set(key, { value, expiresAt: expiresAt(options) });
+      return true;
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async list(prefix = '') {
+      const out = [];
+      for (const [key, entry] of map) {
+        if (key.startsWith(prefix) && isLive(entry)) out.push({ key, value: entry.value });
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * File backend: one JSON file per namespace. Reads and writes the whole file on each call,
+ * which is fine for the low volume of webhook events this app handles.
+ */
+function createFileStore(namespace) {
+  const dir = process.env.STORE_FILE_DIR || path.join(os.tmpdir(), 'stripe-checkout-app');
+  const file = path.join(dir, `${namespace.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Store: could not read', file, err.message);
+      return {};
+    }
+  }
+
+  function save(data) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  function prune(data) {
+    for (const key of Object.keys(data)) {
+      if (!isLive(data[key])) delete data[key];
+    }
+    return data;
+  }
+
+  return {
+    async get(key) {
+      const entry = load()[key];
+      return isLive(entry) ? entry.value : null;
+    },
+    async set(key, value, options) {
+      const data = prune(load());
+      data[key] = { value, expiresAt: expiresAt(options) };
+      save(data);
+    },
+    async setIfAbsent(key, value, options) {
+      const data = prune(load());
+      if (data[key]) return false;
+      data[key] = { value, expiresAt: expiresAt(options) };
+      save(data);
+      return true;
+    },
+    async delete(key) {
+      const data = load();
+      if (!(key in data)) return;
+      delete data[key];
+      save(data);
+    },
+    async list(prefix = '') {
+      const data = load();
+      return Object.keys(data)
+        .filter((key) => key.startsWith(prefix) && isLive(data[key]))
+        .map((key) => ({ key, value: data[key].value }));
+    },
+  };
+}
+
+/**
+ * Hosted KV backend (Upstash REST API, which Vercel KV also exposes).
+ * Commands are sent as JSON arrays: POST KV_REST_API_URL with body ["SET", key, value, ...].
+ */
+function createKvStore(namespace) {
+  const baseUrl = (process.env.KV_REST_API_URL || '').replace(/\/$/, '');
+  const token = process.env.KV_REST_API_TOKEN;
+  if (!baseUrl || !token) {
+    throw new Error('Store: KV backend needs KV_REST_API_URL and KV_REST_API_TOKEN');
+  }
+  const fullKey = (key) => `${namespace}:${key}`;
+
+  async function command(args) {
+    const res = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.error) {
+      throw new Error(`Store: KV ${args[0]} failed: ${json.error || res.status}`);
+    }
+    return json.result;
+  }
+
+  function setArgs(key, value, options, nx) {
+    const args = ['SET', fullKey(key), JSON.stringify(value)];
+    if (nx) args.push('NX');
+    const ttl = options && options.ttlSeconds;
+    if (ttl && ttl > 0) args.push('EX', String(Math.ceil(ttl)));
+    return args;
+  }
+
+  return {
+    async get(key) {
+      const raw = await command(['GET', fullKey(key)]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value, options) {
+      await command(setArgs(key, value, options, false));
+    },
+    async setIfAbsent(key, value, options) {
+      const result = await command(setArgs(key, value, options, true));
+      return result === 'OK';
+    },
+    async delete(key) {
+      await command(['DEL', fullKey(key)]);
+    },
+    async list(prefix = '') {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await command(['SCAN', cursor, 'MATCH', `${fullKey(prefix)}*`, 'COUNT', '200']);
+        cursor = String(next);
+        keys.push(...batch);
+      } while (cursor !== '0');
+      if (keys.length === 0) return [];
+      const values = await command(['MGET', ...keys]);
+      const strip = namespace.length + 1;
+      return keys
+        .map((key, i) => ({ key: key.slice(strip), value: values[i] == null ? null : JSON.parse(values[i]) }))
+        .filter((entry) => entry.value != null);
+    },
+  };
+}
+
+function backendName() {
+  const v = (process.env.STORE_BACKEND || '').trim().toLowerCase();
+  if (v) return v;
+  return process.env.KV_REST_API_URL ? 'kv' : 'file';
+}
+
+const stores = new Map();
+
+/**
+ * Get the store for a namespace (e.g. 'processed-events'). Instances are cached per process.
+ * @param {string} namespace
+ */
+function getStore(namespace) {
+  const backend = backendName();
+  const cacheKey = `${backend}:${namespace}`;
+  if (stores.has(cacheKey)) return stores.get(cacheKey);
+  let store;
+  if (backend === 'kv') store = createKvStore(namespace);
+  else if (backend === 'memory') store = createMemoryStore(namespace);
+  else if (backend === 'file') store = createFileStore(namespace);
+  else throw new Error(`Store: unknown STORE_BACKEND "${backend}" (use kv, file or memory)`);
+  stores.set(cacheKey, store);
+  return store;
+}
+
+module.exports = { getStore };
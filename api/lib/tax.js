@@ -0,0 +1,92 @@
+/**
+ * Stripe automatic tax (opt-in with STRIPE_AUTOMATIC_TAX=true) and carrying the tax Stripe charged onto Shopify
+ * orders.
+ *
+ * Checkout: sessions get automatic_tax and required billing address collection (Stripe Tax needs the buyer's
+ * address). Checkout uses inline prices, so the tax behavior comes from the catalog price in Stripe, or
+ * STRIPE_TAX_BEHAVIOR ("inclusive", the default, or "exclusive") when the price doesn't specify one.
+ *
+ * Orders: sessionTax / invoiceTax read the amounts, rates and inclusive flag Stripe calculated into
+ *   { amount, inclusive, lines: [{ title, rate, amount }] }   (amounts in cents, rate as a fraction, e.g. 0.1)
+ * or null when Stripe calculated no tax (automatic tax off and no tax rates).
+ */
+
+const TAX_BEHAVIORS = ['inclusive', 'exclusive'];
+
+function isAutomaticTaxEnabled() {
+  const v = String(process.env.STRIPE_AUTOMATIC_TAX || '').trim().toLowerCase();
+  return v === 'true' || v === '1';
+}
+
+/**
+ * Tax behavior for an inline price_data copied from a catalog price.
+ * @param {object} price - Stripe price
+ * @returns {'inclusive'|'exclusive'}
+ */
+function taxBehaviorFor(price) {
+  if (TAX_BEHAVIORS.includes(price?.tax_behavior)) return price.tax_behavior;
+  const configured = String(process.env.STRIPE_TAX_BEHAVIOR || '').trim().toLowerCase();
+  return TAX_BEHAVIORS.includes(configured) ? configured : 'inclusive';
+}
+
+function rateTitle(rate) {
+  const name = rate?.display_name || 'Tax';
+  return rate?.jurisdiction && !name.includes(rate.jurisdiction) ? `${name} (${rate.jurisdiction})` : name;
+}
+
+function rateFraction(rate, amount, taxableAmount) {
+  if (rate?.percentage != null) return Number(rate.percentage) / 100;
+  if (taxableAmount > 0) return Math.round((amount / taxableAmount) * 10000) / 10000;
+  return null;
+}
+
+/**
+ * Tax on a checkout session. Needs `total_details.breakdown` expanded for per-rate lines (see orders.loadSession).
+ * @param {object} session
+ * @returns {{ amount: number, inclusive: boolean, lines: Array<{ title: string, rate: number|null, amount: number }> }|null}
+ */
+function sessionTax(session) {
+  const amount = session.total_details?.amount_tax || 0;
+  if (amount === 0 && !session.automatic_tax?.enabled) return null;
+  const taxes = session.total_details?.breakdown?.taxes || [];
+  const priceBehavior = session.line_items?.data?.[0]?.price?.tax_behavior;
+  const inclusive = taxes.length > 0 ? Boolean(taxes[0].rate?.inclusive) : priceBehavior !== 'exclusive';
+  const lines = taxes
+    .filter((t) => t.amount > 0)
+    .map((t) => ({ title: rateTitle(t.rate), rate: rateFraction(t.rate, t.amount, t.taxable_amount), amount: t.amount }));
+  if (lines.length === 0 && amount > 0) lines.push({ title: 'Tax', rate: null, amount });
+  return { amount, inclusive, lines };
+}
+
+/**
+ * Tax on a paid invoice. Reads `total_tax_amounts`; expand `total_tax_amounts.tax_rate` for rate names (see
+ * orders.loadInvoice), otherwise the rate is worked out from the taxable amount.
+ * @param {object} invoice
+ * @param {object} [subscription] - For automatic_tax when the invoice charged no tax
+ * @returns {{ amount: number, inclusive: boolean, lines: Array<{ title: string, rate: number|null, amount: number }> }|null}
+ */
+function invoiceTax(invoice, subscription) {
+  const entries = invoice.total_tax_amounts || [];
+  const amount = invoice.tax ?? entries.reduce((sum, t) => sum + (t.amount || 0), 0);
+  const automatic = invoice.automatic_tax?.enabled || subscription?.automatic_tax?.enabled;
+  if (!amount && entries.length === 0 && !automatic) return null;
+  const inclusive = entries.length > 0 ? Boolean(entries[0].inclusive) : true;
+  const lines = entries
+    .filter((t) => t.amount > 0)
+    .map((t) => {
+      const rate = typeof t.tax_rate === 'object' ? t.tax_rate : null;
+      return { title: rateTitle(rate), rate: rateFraction(rate, t.amount, t.taxable_amount), amount: t.amount };
+    });
+  if (lines.length === 0 && amount > 0) lines.push({ title: 'Tax', rate: null, amount });
+  return { amount: amount || 0, inclusive, lines };
+}
+
+/** "GST 10% 1.27, ..." for order notes and note attributes. */
+function describeTax(tax) {
+  if (tax.lines.length === 0) return 'none';
+  return tax.lines
+    .map((l) => `${l.title}${l.rate != null ? ` ${+(l.rate * 100).toFixed(4)}%` : ''} ${(l.amount / 100).toFixed(2)}`)
+    .join(', ');
+}
+
+module.exports = { isAutomaticTaxEnabled, taxBehaviorFor, sessionTax, invoiceTax, describeTax };
@@ -0,0 +1,48 @@
+/**
+ * Trial length per plan and per campaign.
+ *
+ * A plan's default comes from `trialDays` in config/plans.json. config/campaigns.json can override it for a
+ * campaign, matched (case-insensitively) on the `landing` page key first, then `utm_campaign`:
+ *   { "spring-sale": { "trialDays": 14 }, "no-trial-ads": { "trialDays": { "monthly": 0 } } }
+ * `trialDays` is either a number for every plan or a map of plan key -> days; 0 means no trial.
+ */
+
+const campaigns = require('../../config/campaigns.json');
+
+// Stripe's limit for trial_period_days.
+const MAX_TRIAL_DAYS = 730;
+
+function clampDays(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(n, MAX_TRIAL_DAYS);
+}
+
+function findCampaign(key) {
+  if (typeof key !== 'string' || !key.trim()) return null;
+  const wanted = key.trim().toLowerCase();
+  const match = Object.keys(campaigns).find((k) => k.toLowerCase() === wanted);
+  return match ? { key: match, config: campaigns[match] } : null;
+}
+
+/**
+ * Resolve the trial for a plan in the context of a visit.
+ * @param {object} plan - Plan from the catalog (plans.getPlan)
+ * @param {{ landing?: string, utm_campaign?: string }} [context]
+ * @returns {{ trialDays: number, source: string }} - source is 'plan' or 'campaign:<key>'
+ */
+function resolveTrial(plan, context = {}) {
+  for (const candidate of [context.landing, context.utm_campaign]) {
+    const campaign = findCampaign(candidate);
+    if (!campaign || !campaign.config || campaign.config.trialDays == null) continue;
+    const override =
+      typeof campaign.config.trialDays === 'object'
+        ? campaign.config.trialDays[plan.key]
+        : campaign.config.trialDays;
+    if (override == null) continue;
+    return { trialDays: clampDays(override), source: `campaign:${campaign.key}` };
+  }
+  return { trialDays: clampDays(plan.trialDays), source: 'plan' };
+}
+
+module.exports = { resolveTrial };
@@ -0,0 +1,93 @@
+const Stripe = require('stripe');
+const { cors } = require('./lib/origins');
+const rateLimit = require('./lib/rate-limit');
+const portalLinks = require('./lib/portal-links');
+
+const WINDOW_SECONDS = 60 * 60;
+const IP_LIMIT = 10;
+const EMAIL_LIMIT = 3;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SENT_MESSAGE = "If there's a subscription for that email, we've sent a link to manage it. Check your inbox.";
+
+/**
+ * Links to the Stripe Billing Portal (see lib/portal-links.js).
+ *   POST { email }      — email a magic link. The answer is the same whether or not the email is a customer.
+ *   POST { session_id } — thank-you page: exchange the checkout session ID for { url, expires_at }.
+ * Email requests are limited to IP_LIMIT per IP and EMAIL_LIMIT per address per hour (429 `rate_limited`).
+ */
+module.exports = async (req, res) => {
+  const origin = cors(req, res, 'POST, OPTIONS');
+  if (!origin) return;
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    console.error('portal-link: missing STRIPE_SECRET_KEY');
+    res.status(500).json({ error: 'Portal not configured' });
+    return;
+  }
+
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+  } catch {
+    res.status(400).json({ error: 'Invalid JSON body' });
+    return;
+  }
+
+  const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const sessionId = typeof body.session_id === 'string' ? body.session_id.trim() : '';
+  if (sessionId) {
+    if (!/^cs_\w+$/.test(sessionId)) {
+      res.status(400).json({ error: 'Invalid session' });
+      return;
+    }
+    try {
+      const link = await portalLinks.linkForCheckoutSession(stripe, sessionId, origin);
+      if (link.error) {
+        res.status(400).json({ error: link.error });
+        return;
+      }
+      res.status(200).json({ url: link.url, expires_at: link.expiresAt });
+    } catch (err) {
+      console.error('portal-link: session exchange failed', err.message);
+      res.status(500).json({ error: 'Could not create a portal link' });
+    }
+    return;
+  }
+
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    res.status(400).json({ error: 'Please enter a valid email address.' });
+    return;
+  }
+
+  const limits = [
+    ['portal-link-ip', rateLimit.getClientIp(req), IP_LIMIT],
+    ['portal-link-email', email.toLowerCase(), EMAIL_LIMIT],
+  ];
+  for (const [bucket, id, limit] of limits) {
+    if (!id) continue;
+    const result = await rateLimit.hit(bucket, id, { limit, windowSeconds: WINDOW_SECONDS });
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfter));
+      res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'rate_limited' });
+      return;
+    }
+  }
+
+  try {
+    const { sent } = await portalLinks.sendMagicLink(stripe, email, origin);
+    console.log('portal-link: magic link', sent ? 'sent' : 'not sent (no customer)');
+  } catch (err) {
+    // Same answer as success, so failures don't reveal whether the email belongs to a customer.
+    console.error('portal-link: magic link failed', err.message);
+  }
+  res.status(200).json({ ok: true, message: SENT_MESSAGE });
+};
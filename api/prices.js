@@ -0,0 +1,56 @@
+const Stripe = require('stripe');
+const { getPlanPricing, getAddonPricing } = require('./lib/pricing');
+const plans = require('./lib/plans');
+const { resolveTrial } = require('./lib/trials');
+const { cors } = require('./lib/origins');
+
+// Cache per warm instance and at the CDN; a price change in Stripe shows up within this window.
+const CACHE_SECONDS = parseInt(process.env.PRICES_CACHE_SECONDS, 10) || 300;
+
+let cached = null;
+
+module.exports = async (req, res) => {
+  if (!cors(req, res, 'GET, OPTIONS')) return;
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  if (!cached || cached.expiresAt <= Date.now()) {
+    const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+    try {
+      const [planPricing, addonPricing] = await Promise.all([getPlanPricing(stripe), getAddonPricing(stripe)]);
+      const complete = planPricing.every((p) => !p.error) && addonPricing.complete;
+      // Don't hold on to a partial result; retry on the next request.
+      cached = {
+        plans: planPricing,
+        addons: addonPricing.addons,
+        expiresAt: complete ? Date.now() + CACHE_SECONDS * 1000 : 0,
+      };
+    } catch (err) {
+      console.error('Prices: failed to load plan pricing', err.message);
+      res.status(500).json({ error: 'Failed to load prices' });
+      return;
+    }
+  }
+
+  if (cached.expiresAt > Date.now()) {
+    res.setHeader('Cache-Control', `public, s-maxage=${CACHE_SECONDS}, stale-while-revalidate=${CACHE_SECONDS * 2}`);
+  } else {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  // Trial length depends on the visit's campaign (?landing= / ?utm_campaign=), so apply it per request.
+  const context = { landing: req.query.landing, utm_campaign: req.query.utm_campaign };
+  const withTrials = cached.plans.map((p) => {
+    const planConfig = plans.getPlan(p.key);
+    if (!planConfig || (p.amount != null && !p.interval)) return Object.assign({}, p, { trialDays: 0 });
+    return Object.assign({}, p, { trialDays: resolveTrial(planConfig, context).trialDays });
+  });
+  res.status(200).json({ plans: withTrials, addons: cached.addons });
+};
@@ -0,0 +1,99 @@
+const Stripe = require('stripe');
+const { cors } = require('./lib/origins');
+const rateLimit = require('./lib/rate-limit');
+const gifts = require('./lib/gifts');
+const orders = require('./lib/orders');
+const memberEvents = require('./lib/member-events');
+const { getShopifyConfig } = require('./lib/shopify');
+
+const WINDOW_SECONDS = 60 * 60;
+const IP_LIMIT = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Redeem a gift membership (see lib/gifts.js).
+ *   POST { code, email } → { ok: true, plan, membership_until } — the membership starts now, for the gift period.
+ * Errors: 400 `invalid_code`, 409 `already_redeemed` / `already_member` / `in_progress`, 429 `rate_limited`
+ * (IP_LIMIT attempts per IP per hour). The recipient's Shopify order (with its Loop subscription) and
+ * member.created are queued in the outbox, so a Shopify outage doesn't fail the redemption.
+ */
+module.exports = async (req, res) => {
+  const origin = cors(req, res, 'POST, OPTIONS');
+  if (!origin) return;
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecretKey) {
+    console.error('redeem-gift: missing STRIPE_SECRET_KEY');
+    res.status(500).json({ error: 'Server missing Stripe configuration' });
+    return;
+  }
+
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+  } catch {
+    res.status(400).json({ error: 'Invalid JSON body' });
+    return;
+  }
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const ip = rateLimit.getClientIp(req);
+  if (ip) {
+    const result = await rateLimit.hit('gift-redeem-ip', ip, { limit: IP_LIMIT, windowSeconds: WINDOW_SECONDS });
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfter));
+      res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'rate_limited' });
+      return;
+    }
+  }
+
+  if (!gifts.normalizeCode(body.code)) {
+    res.status(400).json({ error: 'That gift code is not valid.', code: 'invalid_code', field: 'code' });
+    return;
+  }
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    res.status(400).json({ error: 'Please enter a valid email address.', field: 'email' });
+    return;
+  }
+
+  const stripe = new Stripe(stripeSecretKey, { apiVersion: '2025-09-30.clover' });
+  let redeemed;
+  try {
+    redeemed = await gifts.redeemGift(stripe, body.code, email);
+  } catch (err) {
+    console.error('redeem-gift: failed', err.message);
+    res.status(500).json({ error: 'Could not redeem the gift. Please try again.' });
+    return;
+  }
+  if (!redeemed.ok) {
+    res.status(redeemed.status).json({ error: redeemed.error, code: redeemed.code });
+    return;
+  }
+
+  const { gift, subscription } = redeemed;
+  if (getShopifyConfig()) {
+    try {
+      const queued = await orders.queueOrder(orders.buildGiftRedemptionOrder(gift, subscription));
+      if (!queued.ok) console.warn('redeem-gift: order not created yet, queued for retry', gift.code, queued.entry?.lastError);
+    } catch (err) {
+      console.error('redeem-gift: failed to queue order', gift.code, err.message);
+    }
+  }
+  try {
+    await memberEvents.queueGiftRedeemed(gift, subscription);
+  } catch (err) {
+    console.error('redeem-gift: failed to queue member.created', gift.code, err.message);
+  }
+
+  res.status(200).json({
+    ok: true,
+    plan: gift.plan,
+    membership_until: subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null,
+  });
+};
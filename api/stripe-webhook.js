@@ -1,5 +1,22 @@
 const Stripe = require('stripe');
 const loop = require('./lib/loop');
+const outbox = require('./lib/outbox');
+const dunning = require('./lib/dunning');
+const { getStore } = require('./lib/store');
+const { getShopifyConfig } = require('./lib/shopify');
+const orders = require('./lib/orders');
+const analytics = require('./lib/analytics');
+const memberEvents = require('./lib/member-events');
+const memberWebhooks = require('./lib/member-webhooks');
+const entitlements = require('./lib/entitlements');
+const plans = require('./lib/plans');
+const abandoned = require('./lib/abandoned');
+const gifts = require('./lib/gifts');
+
+// How long to remember processed Stripe events (Stripe retries for up to 3 days).
+const PROCESSED_EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+// A claim on an event being processed lapses after this long, in case its run dies without releasing it.
+const EVENT_CLAIM_TTL_SECONDS = 5 * 60;
 
 /**
  * Get raw request body for Stripe signature verification.
@@ -15,167 +32,85 @@ function getRawBody(req) {
   });
 }
 
-const SHOPIFY_GRAPHQL_API_VERSION = '2024-04';
-
 /**
- * Create a Shopify draft order via GraphQL (supports variant + priceOverride so receipt shows exact product at Stripe price).
- * @param {string} shopUrl - Shop domain without protocol
- * @param {string} shopToken - Shopify Admin API access token
- * @param {object} draftOrderPayload - { line_items: [{ variant_id?, title?, price }], email?, note, note_attributes?, tags?, source_name? }
- * @param {string} currencyCode - e.g. 'AUD'
- * @returns {Promise<{ ok: boolean, error?: string, customerId?: string, orderId?: string, draftOrderId?: string }>}
+ * Work out which Shopify order a Stripe charge belongs to, as the note attribute the webhook wrote on it:
+ * the invoice's order for subscription charges, otherwise the checkout session's order. An invoice without its own
+ * order (orders.isOrderInvoice), e.g. a trial's first invoice that only charges add-ons, maps to the order of the
+ * checkout session that created the subscription.
+ * @returns {Promise<{ name: string, value: string }|null>} - null when no Shopify order covers the charge
  */
-async function createShopifyDraftOrderAndComplete(shopUrl, shopToken, draftOrderPayload, currencyCode = 'AUD') {
-  const graphqlUrl = `https://${shopUrl}/admin/api/${SHOPIFY_GRAPHQL_API_VERSION}/graphql.json`;
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': shopToken,
-  };
-
-  const lineItems = (draftOrderPayload.line_items || []).map((item) => {
-    const priceInput = { amount: String(item.price), currencyCode };
-    if (item.variant_id != null) {
-      return {
-        variantId: `gid://shopify/ProductVariant/${item.variant_id}`,
-        quantity: item.quantity ?? 1,
-        priceOverride: priceInput,
-      };
-    }
-    return {
-      title: item.title || 'Subscription',
-      quantity: item.quantity ?? 1,
-      originalUnitPriceWithCurrency: priceInput,
-    };
-  });
-
-  const customAttributes = (draftOrderPayload.note_attributes || []).map((attr) => ({
-    key: attr.name,
-    value: String(attr.value),
-  }));
-
-  const tagsInput = draftOrderPayload.tags
-    ? (Array.isArray(draftOrderPayload.tags)
-        ? draftOrderPayload.tags
-        : String(draftOrderPayload.tags).split(',').map((t) => t.trim()).filter(Boolean))
-    : null;
-  const input = {
-    lineItems,
-    email: draftOrderPayload.email || null,
-    note: draftOrderPayload.note || null,
-    customAttributes: customAttributes.length ? customAttributes : null,
-    tags: tagsInput,
-    sourceName: draftOrderPayload.source_name || null,
-  };
-  const createMutation = `
-    mutation draftOrderCreate($input: DraftOrderInput!) {
-      draftOrderCreate(input: $input) {
-        draftOrder { id }
-        userErrors { message field }
-      }
-    }
-  `;
-  const createRes = await fetch(graphqlUrl, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ query: createMutation, variables: { input } }),
-  });
-  if (!createRes.ok) {
-    const text = await createRes.text();
-    console.error('Shopify draft order create failed', createRes.status, text);
-    return { ok: false, error: text };
+async function findOrderAttributeForCharge(stripe, charge) {
+  let invoiceId = typeof charge.invoice === 'string' ? charge.invoice : charge.invoice?.id;
+  const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+  if (!invoiceId && paymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    invoiceId = typeof paymentIntent.invoice === 'string' ? paymentIntent.invoice : paymentIntent.invoice?.id;
   }
-  const createJson = await createRes.json();
-  const createData = createJson.data?.draftOrderCreate;
-  const userErrors = createData?.userErrors || [];
-  if (userErrors.length > 0) {
-    const msg = userErrors.map((e) => e.message).join('; ');
-    console.error('Shopify draftOrderCreate userErrors', msg);
-    return { ok: false, error: msg };
+  if (invoiceId) {
+    const invoice = await orders.loadInvoice(stripe, invoiceId);
+    if (orders.isOrderInvoice(invoice)) return { name: 'stripe_invoice_id', value: invoiceId };
+    const subId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id;
+    if (!subId || invoice.billing_reason !== 'subscription_create') return null;
+    const sessions = await stripe.checkout.sessions.list({ subscription: subId, limit: 1 });
+    return sessions.data[0] ? { name: 'stripe_session_id', value: sessions.data[0].id } : null;
   }
-  const draftOrderGid = createData?.draftOrder?.id;
-  if (!draftOrderGid) {
-    return { ok: false, error: 'No draft order id returned' };
+  if (paymentIntentId) {
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+    if (sessions.data[0]) return { name: 'stripe_session_id', value: sessions.data[0].id };
   }
+  return null;
+}
 
-  const completeMutation = `
-    mutation draftOrderComplete($id: ID!) {
-      draftOrderComplete(id: $id) {
-        draftOrder { id order { id legacyResourceId customer { id legacyResourceId } } }
-        userErrors { message field }
-      }
-    }
-  `;
-  const completeRes = await fetch(graphqlUrl, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ query: completeMutation, variables: { id: draftOrderGid } }),
-  });
-  if (!completeRes.ok) {
-    const text = await completeRes.text();
-    console.error('Shopify draft order complete failed', completeRes.status, text);
-    return { ok: false, error: text };
-  }
-  const completeJson = await completeRes.json();
-  const completeData = completeJson.data?.draftOrderComplete;
-  const completeErrors = completeData?.userErrors || [];
-  if (completeErrors.length > 0) {
-    const msg = completeErrors.map((e) => e.message).join('; ');
-    console.error('Shopify draftOrderComplete userErrors', msg);
-    return { ok: false, error: msg };
-  }
-  const order = completeData?.draftOrder?.order;
-  const orderId = order?.legacyResourceId ?? order?.id ?? null;
-  const customerId = order?.customer?.legacyResourceId ?? order?.customer?.id ?? null;
+/**
+ * Shopify and Loop IDs stored in the Stripe subscription's metadata once the member's first order and Loop
+ * subscription exist (outbox action stripe.metadata). Missing IDs are null; callers then fall back to email.
+ * @returns {{ shopifyCustomerId: string|null, shopifyOrderId: string|null, loopSubscriptionId: string|null }}
+ */
+function getLinkedIds(metadata) {
   return {
-    ok: true,
-    customerId: customerId != null ? String(customerId) : undefined,
-    orderId: orderId != null ? String(orderId) : undefined,
+    shopifyCustomerId: metadata?.shopify_customer_id || null,
+    shopifyOrderId: metadata?.shopify_order_id || null,
+    loopSubscriptionId: metadata?.loop_subscription_id || null,
   };
 }
 
 /**
- * Get Shopify customer ID from an order (for Loop API - customer must be the order's customer).
- * @param {string} shopUrl - Shop domain without protocol
- * @param {string} shopToken - Shopify Admin API access token
- * @param {string} orderId - Shopify order ID
- * @returns {Promise<string|null>} - Customer ID or null
+ * Detect a price switch (e.g. monthly ↔ yearly in the Billing Portal) from a customer.subscription.updated event
+ * by comparing the subscription's price with the event's previous_attributes.
+ * @returns {{ fromPlan: string|null, toPlan: object }|null} - toPlan is the catalog entry
  */
-async function getShopifyCustomerIdFromOrder(shopUrl, shopToken, orderId) {
-  if (!orderId || !orderId.trim()) return null;
-  const url = `https://${shopUrl}/admin/api/2024-04/orders/${orderId}.json`;
-  const res = await fetch(url, {
-    headers: { 'X-Shopify-Access-Token': shopToken },
-  });
-  if (!res.ok) return null;
-  const data = await res.json();
-  const order = data.order;
-  if (!order) return null;
-  const id = order.customer_id ?? order.customer?.id ?? null;
-  return id != null ? String(id) : null;
+function detectPlanChange(sub, previousAttributes) {
+  const previousItems = previousAttributes?.items?.data;
+  if (!Array.isArray(previousItems)) return null;
+  const oldPriceId = previousItems[0]?.price?.id;
+  const newPrice = sub.items?.data?.[0]?.price;
+  if (!newPrice?.id || newPrice.id === oldPriceId) return null;
+  const toPlan = plans.findPlanByPriceId(newPrice.id) || plans.getPlan(newPrice.metadata?.plan);
+  if (!toPlan) {
+    console.warn('Webhook: subscription switched to a price that is not in the plan catalog', sub.id, newPrice.id);
+    return null;
+  }
+  const fromPlan = sub.metadata?.plan || plans.findPlanByPriceId(oldPriceId)?.key || null;
+  if (fromPlan === toPlan.key) return null;
+  return { fromPlan, toPlan };
 }
 
 /**
- * Get Shopify customer ID by email (for Loop API customerShopifyId).
- * @param {string} shopUrl - Shop domain without protocol
- * @param {string} shopToken - Shopify Admin API access token
- * @param {string} email - Customer email
- * @returns {Promise<string|null>} - Customer ID or null
+ * Stripe webhook. Each event is claimed in the processed-event store before it's handled (see handleWebhook); the
+ * claim is released when handling fails, so Stripe's redelivery runs it again.
  */
-async function getShopifyCustomerIdByEmail(shopUrl, shopToken, email) {
-  if (!email || !email.trim()) return null;
-  const url = `https://${shopUrl}/admin/api/2024-04/customers/search.json?query=${encodeURIComponent('email:' + email.trim())}`;
-  const res = await fetch(url, {
-    headers: { 'X-Shopify-Access-Token': shopToken },
-  });
-  if (!res.ok) return null;
-  const data = await res.json();
-  const customers = data.customers;
-  if (!Array.isArray(customers) || customers.length === 0) return null;
-  const id = customers[0].id;
-  return id != null ? String(id) : null;
-}
-
 module.exports = async (req, res) => {
+  const claim = {};
+  try {
+    await handleWebhook(req, res, claim);
+  } catch (err) {
+    if (claim.release) await claim.release();
+    throw err;
+  }
+  if (claim.release && res.statusCode >= 500) await claim.release();
+};
+
+async function handleWebhook(req, res, claim) {
   if (req.method !== 'POST') {
     res.status(405).json({ error: 'Method not allowed' });
     return;
@@ -183,10 +118,6 @@ module.exports = async (req, res) => {
 
   const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN;
-  const shopToken = process.env.SHOPIFY_ACCESS_TOKEN;
-  const shopifySourceName = process.env.SHOPIFY_SOURCE_NAME || null;
-  const shopifyOrderTags = process.env.SHOPIFY_ORDER_TAGS || null;
 
   if (!stripeSecretKey || !webhookSecret) {
     console.error('Webhook: missing STRIPE_SECRET_KEY or STRIPE_WEBHOOK_SECRET');
@@ -215,228 +146,444 @@ module.exports = async (req, res) => {
     return;
   }
 
-  // Loop sync: cancel subscription when customer cancels in Stripe (no Shopify work)
-  if (event.type === 'customer.subscription.deleted' || event.type === 'customer.subscription.updated') {
-    if (loop.isEnabled()) {
-      const sub = event.data.object;
-      const status = sub.status;
-      const isCanceled = status === 'canceled' || status === 'cancelled' || status === 'unpaid' || status === 'incomplete_expired';
-      if (event.type === 'customer.subscription.deleted' || isCanceled) {
-        let email = null;
-        try {
-          if (sub.customer) {
-            const customerId = typeof sub.customer === 'string' ? sub.customer : sub.customer.id;
-            const customer = await stripe.customers.retrieve(customerId);
-            email = customer.deleted ? null : customer.email;
-          }
-          if (email) {
-            await loop.cancelSubscription(email);
-          }
-        } catch (err) {
-          console.error('Loop: cancel on subscription event failed', err.message);
-        }
-      }
+  // Idempotency: Stripe redelivers on non-2xx and on timeouts, so remember what we've already handled.
+  // Store errors are logged and ignored; the Shopify order lookup below is the second line of defence.
+  const processed = getStore('processed-events');
+  async function storeGet(key) {
+    try {
+      return await processed.get(key);
+    } catch (err) {
+      console.error('Webhook: processed-event store read failed', key, err.message);
+      return null;
+    }
+  }
+  async function storeSet(key, value, ttlSeconds) {
+    try {
+      await processed.set(key, value, { ttlSeconds });
+    } catch (err) {
+      console.error('Webhook: processed-event store write failed', key, err.message);
     }
-    res.status(200).json({ received: true });
-    return;
+  }
+  async function acknowledge(extra) {
+    await storeSet(`event:${event.id}`, { type: event.type, at: new Date().toISOString() }, PROCESSED_EVENT_TTL_SECONDS);
+    res.status(200).json(Object.assign({ received: true }, extra));
   }
 
-  if (event.type !== 'checkout.session.completed' && event.type !== 'invoice.paid') {
-    res.status(200).json({ received: true });
+  // Claim the event atomically, so two concurrent deliveries can't both handle it. A delivery that finds it
+  // claimed but not finished gets 409 and Stripe tries again later.
+  const eventKey = `event:${event.id}`;
+  let claimed = true;
+  try {
+    claimed = await processed.setIfAbsent(
+      eventKey,
+      { type: event.type, status: 'processing', at: new Date().toISOString() },
+      { ttlSeconds: EVENT_CLAIM_TTL_SECONDS }
+    );
+  } catch (err) {
+    console.error('Webhook: processed-event store claim failed', eventKey, err.message);
+  }
+  if (!claimed) {
+    const existing = await storeGet(eventKey);
+    if (existing?.status === 'processing') {
+      console.log('Webhook: event is being processed, asking Stripe to retry', event.id, event.type);
+      res.status(409).json({ error: 'Event is being processed' });
+      return;
+    }
+    console.log('Webhook: event already processed, skipping', event.id, event.type);
+    res.status(200).json({ received: true, duplicate: true });
     return;
   }
+  claim.release = () =>
+    processed.delete(eventKey).catch((err) => {
+      console.error('Webhook: processed-event store release failed', eventKey, err.message);
+    });
 
-  const shopUrl = shopDomain.replace(/^https?:\/\//, '');
-  if (!shopDomain || !shopToken) {
-    console.warn('Webhook: Shopify not configured, skipping draft order');
-    res.status(200).json({ received: true });
+  /**
+   * Plan switch: note it on the member's Shopify order, move the Loop line to the new plan, then point the
+   * subscription metadata at the new plan so later invoice.paid orders get the right line item.
+   * Metadata is written last so a redelivery after a partial failure still sees the change (outbox keys dedupe).
+   */
+  async function syncPlanChange(sub, change, email) {
+    const { fromPlan, toPlan } = change;
+    const linked = getLinkedIds(sub.metadata);
+    console.log('Webhook: plan change', sub.id, fromPlan, '→', toPlan.key);
+    if (getShopifyConfig()) {
+      const attributes = [];
+      if (!linked.shopifyOrderId) {
+        const sessions = await stripe.checkout.sessions.list({ subscription: sub.id, limit: 1 });
+        if (sessions.data[0]) attributes.push({ name: 'stripe_session_id', value: sessions.data[0].id });
+        attributes.push({ name: 'stripe_subscription_id', value: sub.id });
+      }
+      await outbox.enqueue(
+        'shopify.plan_change',
+        {
+          orderId: linked.shopifyOrderId,
+          attributes,
+          email,
+          fromPlan,
+          toPlan: toPlan.key,
+          subscriptionId: sub.id,
+          changedAt: new Date(event.created * 1000).toISOString(),
+        },
+        { key: `plan_change:${event.id}` }
+      );
+    }
+    if (loop.isEnabled() && (email || linked.loopSubscriptionId)) {
+      await outbox.enqueue(
+        'loop.update_plan',
+        { email, plan: toPlan.key, loopSubscriptionId: linked.loopSubscriptionId },
+        { key: `loop_plan:${event.id}` }
+      );
+    }
+    await memberEvents.queuePlanChanged(sub, {
+      fromPlan,
+      toPlan: toPlan.key,
+      email,
+      eventId: event.id,
+      occurredAt: event.created,
+    });
+    await stripe.subscriptions.update(sub.id, {
+      metadata: {
+        plan: toPlan.key,
+        product_id: toPlan.shopifyProductId || '',
+        variant_id: toPlan.shopifyVariantId || '',
+      },
+    });
+  }
+
+  // Abandoned checkout: an expired session with a known email is recorded and followed up (see lib/abandoned.js).
+  if (event.type === 'checkout.session.expired') {
+    const expired = event.data.object;
+    try {
+      const result = await abandoned.recordExpired(stripe, expired);
+      if (!result.recorded) console.log('Webhook: expired session not recorded', expired.id, result.reason);
+    } catch (err) {
+      console.error('Webhook: failed to record abandoned checkout', expired.id, err.message);
+      res.status(500).json({ error: 'Failed to record abandoned checkout' });
+      return;
+    }
+    await acknowledge();
     return;
   }
 
-  const variantYearly = process.env.SHOPIFY_VARIANT_YEARLY;
-  const variantMonthly = process.env.SHOPIFY_VARIANT_MONTHLY;
-  const priceYearly = process.env.STRIPE_PRICE_YEARLY;
-  const priceMonthly = process.env.STRIPE_PRICE_MONTHLY;
+  // A purchase settles the buyer's last abandoned checkout. Best effort: it never holds up the order.
+  if (event.type === 'checkout.session.completed') {
+    try {
+      await abandoned.markRecovered(event.data.object);
+    } catch (err) {
+      console.error('Webhook: failed to mark abandoned checkout recovered', event.data.object.id, err.message);
+    }
+  }
 
-  // Line item display names for receipt (custom line items so these exact names show; product_id/variant_id still in note_attributes).
-  const LINE_TITLES = {
-    yearly_trial: 'Platinum Membership Yearly - Free Trial',
-    monthly_trial: 'Platinum Membership Monthly - Free Trial',
-    yearly_paid: 'Platinum Membership Yearly',
-    monthly_paid: 'Platinum Membership Monthly (after trial)',
-  };
+  // Gift purchase: create the redeem code and schedule its email to the recipient (see lib/gifts.js). The buyer's
+  // Shopify order is created below like any other.
+  const isGiftPurchase = event.type === 'checkout.session.completed' && gifts.isGiftSession(event.data.object);
+  if (isGiftPurchase) {
+    const giftSession = event.data.object;
+    try {
+      const { gift } = await gifts.createGift(giftSession);
+      await outbox.enqueue('gift.deliver', { code: gift.code }, { key: `gift_deliver:${gift.code}`, runAt: gift.deliverAt });
+    } catch (err) {
+      console.error('Webhook: failed to create gift', giftSession.id, err.message);
+      res.status(500).json({ error: 'Failed to create gift' });
+      return;
+    }
+  }
 
-  function buildLineItems(plan, amountFormatted, _metadataVariantId) {
-    const isTrial = amountFormatted === '0.00';
-    const title =
-      plan === 'yearly'
-        ? (isTrial ? LINE_TITLES.yearly_trial : LINE_TITLES.yearly_paid)
-        : (isTrial ? LINE_TITLES.monthly_trial : LINE_TITLES.monthly_paid);
-    return [{ title, price: amountFormatted, quantity: 1 }];
+  // Keep the entitlement cache (lib/entitlements.js) in step with every subscription change and lifetime purchase.
+  const isLifetimePurchase =
+    event.type === 'checkout.session.completed' && event.data.object.mode === 'payment' && !isGiftPurchase;
+  if (entitlements.isEnabled() && (event.type.startsWith('customer.subscription.') || isLifetimePurchase)) {
+    try {
+      if (isLifetimePurchase) {
+        await entitlements.recordLifetimePurchase(stripe, event.data.object, event.created);
+      } else {
+        await entitlements.recordSubscription(stripe, event.data.object, event.created);
+      }
+    } catch (err) {
+      console.error('Webhook: failed to record entitlement', event.type, event.data.object.id, err.message);
+      res.status(500).json({ error: 'Failed to record entitlement' });
+      return;
+    }
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const sessionId = event.data.object.id;
-    let session;
+  // Subscription lifecycle: cancel in Loop when the customer cancels in Stripe, sync plan switches, and track
+  // failed payments (past_due → recovered or cancelled; see lib/dunning.js). No Shopify order is created.
+  if (event.type === 'customer.subscription.deleted' || event.type === 'customer.subscription.updated') {
+    const sub = event.data.object;
+    const status = sub.status;
+    const isCanceled = status === 'canceled' || status === 'cancelled' || status === 'unpaid' || status === 'incomplete_expired';
+    const cancelled = event.type === 'customer.subscription.deleted' || isCanceled;
+    const pastDue = !cancelled && status === 'past_due';
+    const planChange = cancelled ? null : detectPlanChange(sub, event.data.previous_attributes);
+    const latestInvoiceId = typeof sub.latest_invoice === 'string' ? sub.latest_invoice : sub.latest_invoice?.id;
+    const linked = getLinkedIds(sub.metadata);
+    let email = null;
+    if (cancelled || pastDue || planChange) {
+      try {
+        if (sub.customer) {
+          const customerId = typeof sub.customer === 'string' ? sub.customer : sub.customer.id;
+          const customer = await stripe.customers.retrieve(customerId);
+          email = customer.deleted ? null : customer.email;
+        }
+      } catch (err) {
+        console.error('Webhook: failed to retrieve customer for subscription', sub.id, err.message);
+        res.status(500).json({ error: 'Failed to retrieve customer' });
+        return;
+      }
+    }
     try {
-      session = await stripe.checkout.sessions.retrieve(sessionId, {
-        expand: ['line_items'],
+      if (cancelled && loop.isEnabled()) {
+        // The stored Loop ID cancels exactly this member's contract; email is only a fallback for older subscriptions.
+        if (linked.loopSubscriptionId || email) {
+          await outbox.enqueue(
+            'loop.cancel',
+            { email, loopSubscriptionId: linked.loopSubscriptionId },
+            { key: `loop_cancel:${sub.id}` }
+          );
+        } else {
+          console.warn('Loop: no Loop ID or email for cancelled subscription, skipping cancel', sub.id);
+        }
+      }
+      if (planChange) {
+        await syncPlanChange(sub, planChange, email);
+      }
+      const context = {
+        email,
+        plan: planChange ? planChange.toPlan.key : sub.metadata?.plan,
+        invoiceId: latestInvoiceId,
+        customerId: typeof sub.customer === 'string' ? sub.customer : sub.customer?.id,
+        shopifyCustomerId: linked.shopifyCustomerId,
+        loopSubscriptionId: linked.loopSubscriptionId,
+      };
+      if (cancelled) {
+        await dunning.transition(sub.id, 'cancelled', context);
+      } else if (pastDue) {
+        await dunning.transition(sub.id, 'past_due', context);
+      } else if (status === 'active' || status === 'trialing') {
+        await dunning.transition(sub.id, 'active', context);
+      }
+    } catch (err) {
+      console.error('Webhook: failed to sync subscription update', sub.id, err.message);
+      res.status(500).json({ error: 'Failed to queue subscription sync' });
+      return;
+    }
+    await acknowledge();
+    return;
+  }
+
+  // Failed renewal charge: mark the subscription past due. A failed first charge (subscription_create)
+  // is shown to the customer at checkout and never became a membership, so it's ignored.
+  if (event.type === 'invoice.payment_failed') {
+    const invoice = event.data.object;
+    const subId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id;
+    if (!subId || invoice.billing_reason === 'subscription_create') {
+      await acknowledge();
+      return;
+    }
+    const priceId = invoice.lines?.data?.[0]?.price?.id;
+    // subscription_details.metadata is the subscription's metadata when the invoice was created.
+    const subMetadata = invoice.subscription_details?.metadata;
+    const linked = getLinkedIds(subMetadata);
+    try {
+      await dunning.transition(subId, 'past_due', {
+        email: invoice.customer_email,
+        plan: subMetadata?.plan || plans.findPlanByPriceId(priceId)?.key,
+        customerId: typeof invoice.customer === 'string' ? invoice.customer : invoice.customer?.id,
+        shopifyCustomerId: linked.shopifyCustomerId,
+        loopSubscriptionId: linked.loopSubscriptionId,
+        invoiceId: invoice.id,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        attemptCount: invoice.attempt_count,
+        nextPaymentAttempt: invoice.next_payment_attempt,
       });
     } catch (err) {
-      console.error('Webhook: failed to retrieve session', sessionId, err.message);
-      res.status(500).json({ error: 'Failed to retrieve session' });
+      console.error('Webhook: failed to record payment failure', subId, err.message);
+      res.status(500).json({ error: 'Failed to record payment failure' });
       return;
     }
-    const email = session.customer_email || session.customer_details?.email || null;
-    const plan = session.metadata?.plan || 'yearly';
-    const amountTotal = session.amount_total != null ? session.amount_total : 0;
-    const amountFormatted = (amountTotal / 100).toFixed(2);
-    const utmKeys = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
-    const utm = {};
-    for (const key of utmKeys) {
-      const val = session.metadata?.[key];
-      if (typeof val === 'string' && val.trim()) utm[key] = val.trim();
+    await acknowledge();
+    return;
+  }
+
+  // Refunds and disputes: mirror onto the Shopify order created for the charge's invoice or checkout session.
+  if (event.type === 'charge.refunded' || event.type === 'charge.dispute.created' || event.type === 'charge.dispute.closed') {
+    if (!getShopifyConfig()) {
+      console.warn('Webhook: Shopify not configured, skipping', event.type);
+      await acknowledge();
+      return;
     }
-    const productId = session.metadata?.product_id ?? '';
-    const variantIdMeta = session.metadata?.variant_id ?? '';
-    const noteAttributes = [
-      { name: 'stripe_session_id', value: sessionId },
-      { name: 'plan', value: plan },
-    ];
-    if (productId) noteAttributes.push({ name: 'product_id', value: productId });
-    if (variantIdMeta) noteAttributes.push({ name: 'variant_id', value: variantIdMeta });
-    for (const key of Object.keys(utm)) {
-      noteAttributes.push({ name: key, value: utm[key] });
+    const isRefund = event.type === 'charge.refunded';
+    const dispute = isRefund ? null : event.data.object;
+    let charge;
+    let attribute;
+    let email;
+    try {
+      charge = isRefund
+        ? event.data.object
+        : await stripe.charges.retrieve(typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id);
+      attribute = await findOrderAttributeForCharge(stripe, charge);
+      email = charge.billing_details?.email || charge.receipt_email || null;
+      if (!email && charge.customer) {
+        const customer = await stripe.customers.retrieve(typeof charge.customer === 'string' ? charge.customer : charge.customer.id);
+        email = customer.deleted ? null : customer.email;
+      }
+    } catch (err) {
+      console.error('Webhook: failed to resolve order for charge', event.type, err.message);
+      res.status(500).json({ error: 'Failed to resolve charge' });
+      return;
     }
-    let note = `Stripe session: ${sessionId}. Plan: ${plan}.`;
-    if (productId) note += ` Product ID: ${productId}.`;
-    if (variantIdMeta) note += ` Variant ID: ${variantIdMeta}.`;
-    if (Object.keys(utm).length > 0) {
-      const utmLine = Object.entries(utm).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
-      note += ` UTM: ${utmLine}`;
+    if (!attribute) {
+      console.warn('Webhook: no Shopify order for charge, skipping', charge.id, event.type);
+      await acknowledge();
+      return;
     }
-    const payload = {
-      line_items: buildLineItems(plan, amountFormatted, variantIdMeta),
-      email: email || undefined,
-      note,
-      note_attributes: noteAttributes,
-    };
-    if (shopifyOrderTags) payload.tags = shopifyOrderTags;
-    if (shopifySourceName) payload.source_name = shopifySourceName;
-    const currencyCode = (session.currency && String(session.currency).toUpperCase()) || 'AUD';
-    let shopifyCustomerId = null;
-    let shopifyOrderId = null;
     try {
-      const result = await createShopifyDraftOrderAndComplete(shopUrl, shopToken, payload, currencyCode);
-      if (!result.ok) {
-        res.status(500).json({ error: 'Failed to create draft order' });
-        return;
+      if (isRefund) {
+        await outbox.enqueue(
+          'shopify.refund',
+          { attribute, email, amountRefunded: charge.amount_refunded, currency: charge.currency, chargeId: charge.id },
+          { key: `refund:${charge.id}:${charge.amount_refunded}` }
+        );
+      } else {
+        await outbox.enqueue(
+          'shopify.dispute',
+          { attribute, email, status: dispute.status, disputeId: dispute.id },
+          { key: `dispute:${dispute.id}:${dispute.status}` }
+        );
       }
-      shopifyCustomerId = result.customerId;
-      shopifyOrderId = result.orderId;
     } catch (err) {
-      console.error('Shopify request error', err.message);
-      res.status(500).json({ error: 'Shopify request failed' });
+      console.error('Webhook: failed to queue', event.type, charge.id, err.message);
+      res.status(500).json({ error: 'Failed to queue Shopify update' });
       return;
     }
-    if (loop.isEnabled() && email && shopifyOrderId) {
+    await acknowledge();
+    return;
+  }
+
+  // A paid invoice ends any failed-payment period for its subscription (no-op unless it was past due).
+  // Runs before the Shopify order work so recovery is tracked even for invoices that don't create an order.
+  if (event.type === 'invoice.paid') {
+    const paidInvoice = event.data.object;
+    const subId = typeof paidInvoice.subscription === 'string' ? paidInvoice.subscription : paidInvoice.subscription?.id;
+    if (subId) {
       try {
-        // Prefer customer ID from the order (Loop expects the order's customer); fallback to email search
-        const customerId =
-          shopifyCustomerId ||
-          (await getShopifyCustomerIdFromOrder(shopUrl, shopToken, shopifyOrderId)) ||
-          (await getShopifyCustomerIdByEmail(shopUrl, shopToken, email));
-        if (customerId) {
-          await loop.createSubscription(email, plan, customerId, shopifyOrderId);
-        } else {
-          console.warn('Loop: no Shopify customer ID for order/email, skipping create');
-        }
+        await dunning.transition(subId, 'active', { invoiceId: paidInvoice.id });
       } catch (err) {
-        console.error('Loop createSubscription error', err.message);
+        console.error('Webhook: failed to record payment recovery', subId, err.message);
+        res.status(500).json({ error: 'Failed to record payment recovery' });
+        return;
       }
     }
-    res.status(200).json({ received: true });
+  }
+
+  if (event.type !== 'checkout.session.completed' && event.type !== 'invoice.paid') {
+    await acknowledge();
     return;
   }
 
-  if (event.type === 'invoice.paid') {
-    const invoiceId = event.data.object.id;
-    let invoice;
+  // Purchase side effects that don't depend on the Shopify order: server-side analytics events (lib/analytics.js)
+  // and member.created / member.renewed webhooks (lib/member-events.js).
+  async function queuePurchase(purchase) {
+    if (analytics.isGa4Enabled()) {
+      await outbox.enqueue('analytics.ga4_purchase', purchase, { key: `ga4_purchase:${purchase.eventId}` });
+    }
+    if (analytics.isMetaEnabled()) {
+      await outbox.enqueue('analytics.meta_purchase', purchase, { key: `meta_purchase:${purchase.eventId}` });
+    }
+  }
+  if (analytics.isEnabled() || memberWebhooks.isEnabled()) {
     try {
-      invoice = await stripe.invoices.retrieve(invoiceId, {
-        expand: ['subscription', 'customer'],
-      });
+      if (event.type === 'checkout.session.completed') {
+        const session = event.data.object;
+        await queuePurchase(analytics.purchaseFromSession(session));
+        // The gift's recipient becomes a member when they redeem it (see /api/redeem-gift).
+        if (!isGiftPurchase) await memberEvents.queueCreated(session);
+      } else if (event.data.object.billing_reason === 'subscription_cycle' && event.data.object.subscription) {
+        const invoice = event.data.object;
+        const subscriptionId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription.id;
+        const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+        if (analytics.isRenewalInvoice(invoice)) {
+          await queuePurchase(analytics.purchaseFromInvoice(invoice, subscription));
+        }
+        await memberEvents.queueRenewed(invoice, subscription);
+      }
     } catch (err) {
-      console.error('Webhook: failed to retrieve invoice', invoiceId, err.message);
-      res.status(500).json({ error: 'Failed to retrieve invoice' });
+      console.error('Webhook: failed to queue purchase events', event.type, event.data.object.id, err.message);
+      res.status(500).json({ error: 'Failed to queue purchase events' });
       return;
     }
-    if (!invoice.subscription) {
-      res.status(200).json({ received: true });
+  }
+
+  if (!getShopifyConfig()) {
+    console.warn('Webhook: Shopify not configured, skipping draft order');
+    await acknowledge();
+    return;
+  }
+
+  // Build the order (lib/orders.js), skip it if Shopify already has one, otherwise queue it in the outbox and try
+  // it right away. A failed attempt stays queued for retry, so Stripe gets a 200; only failing to persist the
+  // action returns 500 (and Stripe redelivers).
+  async function queueOrderIfNew(order) {
+    const existing = await orders.findExistingOrder(order.attribute, order.email, { eventId: event.id });
+    if (existing.error) {
+      res.status(500).json({ error: 'Failed to check for existing order' });
       return;
     }
-    if (invoice.amount_paid == null || invoice.amount_paid <= 0) {
-      res.status(200).json({ received: true });
+    if (existing.orderId) {
+      await acknowledge({ duplicate: true });
       return;
     }
-    const billingReasons = ['subscription_cycle', 'subscription_create'];
-    if (invoice.billing_reason && !billingReasons.includes(invoice.billing_reason)) {
-      res.status(200).json({ received: true });
+    let queued;
+    try {
+      queued = await orders.queueOrder(order);
+    } catch (err) {
+      console.error('Webhook: failed to queue draft order', order.attribute.value, err.message);
+      res.status(500).json({ error: 'Failed to queue draft order' });
       return;
     }
-    const subscription =
-      typeof invoice.subscription === 'object'
-        ? invoice.subscription
-        : await stripe.subscriptions.retrieve(invoice.subscription);
-    let plan = subscription.metadata?.plan;
-    if (!plan && subscription.items?.data?.[0]?.price?.id) {
-      const priceId = subscription.items.data[0].price.id;
-      plan = priceId === priceYearly ? 'yearly' : priceId === priceMonthly ? 'monthly' : 'yearly';
+    if (queued.ok) {
+      await acknowledge();
+    } else {
+      console.warn('Webhook: draft order not created yet, queued for retry', order.attribute.value, queued.entry?.lastError);
+      await acknowledge({ queued: true });
     }
-    if (!plan) plan = 'yearly';
-    const email =
-      invoice.customer_email ||
-      (typeof invoice.customer === 'object' && invoice.customer?.email) ||
-      null;
-    const amountFormatted = ((invoice.amount_paid || 0) / 100).toFixed(2);
-    const subId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id;
-    const productIdSub = subscription.metadata?.product_id ?? '';
-    const variantIdSub = subscription.metadata?.variant_id ?? '';
-    const noteAttributes = [
-      { name: 'stripe_invoice_id', value: invoiceId },
-      { name: 'stripe_subscription_id', value: subId || '' },
-      { name: 'plan', value: plan },
-      { name: 'order_type', value: 'recurring' },
-    ];
-    if (productIdSub) noteAttributes.push({ name: 'product_id', value: productIdSub });
-    if (variantIdSub) noteAttributes.push({ name: 'variant_id', value: variantIdSub });
-    const note = `Recurring subscription order. Invoice: ${invoiceId}. Subscription: ${subId || ''}. Plan: ${plan}.`;
-    if (productIdSub) note += ` Product ID: ${productIdSub}.`;
-    if (variantIdSub) note += ` Variant ID: ${variantIdSub}.`;
-    const payload = {
-      line_items: buildLineItems(plan, amountFormatted, variantIdSub),
-      email: email || undefined,
-      note,
-      note_attributes: noteAttributes,
-    };
-    if (shopifyOrderTags) payload.tags = shopifyOrderTags;
-    if (shopifySourceName) payload.source_name = shopifySourceName;
-    const currencyCode = (invoice.currency && String(invoice.currency).toUpperCase()) || 'AUD';
+  }
+
+  if (event.type === 'checkout.session.completed') {
+    const sessionId = event.data.object.id;
+    let session;
     try {
-      const result = await createShopifyDraftOrderAndComplete(shopUrl, shopToken, payload, currencyCode);
-      if (!result.ok) {
-        res.status(500).json({ error: 'Failed to create draft order' });
-        return;
-      }
+      session = await orders.loadSession(stripe, sessionId);
     } catch (err) {
-      console.error('Shopify request error', err.message);
-      res.status(500).json({ error: 'Shopify request failed' });
+      console.error('Webhook: failed to retrieve session', sessionId, err.message);
+      res.status(500).json({ error: 'Failed to retrieve session' });
       return;
     }
-    res.status(200).json({ received: true });
+    await queueOrderIfNew(orders.buildSessionOrder(session));
     return;
   }
-};
+
+  if (event.type === 'invoice.paid') {
+    const invoiceId = event.data.object.id;
+    let order;
+    try {
+      const invoice = await orders.loadInvoice(stripe, invoiceId);
+      order = await orders.buildInvoiceOrder(stripe, invoice);
+    } catch (err) {
+      console.error('Webhook: failed to retrieve invoice', invoiceId, err.message);
+      res.status(500).json({ error: 'Failed to retrieve invoice' });
+      return;
+    }
+    if (order.skip) {
+      await acknowledge();
+      return;
+    }
+    await queueOrderIfNew(order);
+    return;
+  }
+}
 
 // Disable body parsing so we can read the raw stream for Stripe signature verification.
 module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Replay Stripe checkout sessions / paid invoices that have no Shopify order — the same work as
+ * POST /api/admin/backfill, without its limits.
+ *
+ *   node --env-file=.env.local scripts/backfill.js --from 2025-01-01 --to 2025-01-31 --dry-run
+ *   node --env-file=.env.local scripts/backfill.js --ids evt_123,cs_456,in_789
+ *
+ * Reads the same env vars as the deployment (`vercel env pull .env.local`). Always start with --dry-run: it prints
+ * the draft-order payloads that would be sent and writes nothing. Exits with 1 when any record failed.
+ */
+
+const fs = require('fs');
+const Stripe = require('stripe');
+const { parseRange } = require('../api/lib/reconcile');
+const { runBackfill } = require('../api/lib/backfill');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    if (match[2] != null) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] != null && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[i + 1];
+      i += 1;
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(
+      'Usage: node scripts/backfill.js (--from YYYY-MM-DD [--to YYYY-MM-DD] | --ids evt_...,cs_...,in_...) [--dry-run] [--out file]'
+    );
+    return 0;
+  }
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('STRIPE_SECRET_KEY is not set');
+    return 2;
+  }
+  const ids = typeof args.ids === 'string' ? args.ids.split(',').map((id) => id.trim()).filter(Boolean) : [];
+  let range = {};
+  if (args.from) {
+    range = parseRange(args.from, args.to);
+    if (range.error) {
+      console.error(range.error);
+      return 2;
+    }
+  }
+  if (!range.from && ids.length === 0) {
+    console.error('Provide --from (and optionally --to) or --ids. See --help.');
+    return 2;
+  }
+
+  const report = await runBackfill(new Stripe(process.env.STRIPE_SECRET_KEY), {
+    from: range.from,
+    to: range.to,
+    ids,
+    dryRun: Boolean(args['dry-run']),
+  });
+  const output = JSON.stringify(report, null, 2) + '\n';
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  console.error(`Backfill${report.dryRun ? ' (dry run)' : ''}: ${report.results.length} record(s) ${JSON.stringify(report.summary)}`);
+  return report.summary.error ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error('Backfill failed:', err.message);
+    process.exit(2);
+  }
+);
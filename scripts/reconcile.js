@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Drift report across Stripe, Shopify and Loop — the same check as GET /api/admin/reconcile, without its range limit.
+ *
+ *   node --env-file=.env.local scripts/reconcile.js --from 2025-01-01 --to 2025-03-31 [--format csv] [--out report.csv]
+ *
+ * Reads the same env vars as the deployment (`vercel env pull .env.local`). Prints the report to stdout unless --out
+ * is given. Exits with 1 when any issue is found, so it can gate a scheduled job.
+ */
+
+const fs = require('fs');
+const Stripe = require('stripe');
+const { parseRange, runReconciliation, toCsv } = require('../api/lib/reconcile');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    if (match[2] != null) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] != null && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[i + 1];
+      i += 1;
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/reconcile.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format json|csv] [--out file]');
+    return 0;
+  }
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('STRIPE_SECRET_KEY is not set');
+    return 2;
+  }
+  const range = parseRange(args.from, args.to);
+  if (range.error) {
+    console.error(range.error);
+    return 2;
+  }
+  const format = args.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    console.error('Invalid --format. Use "json" or "csv".');
+    return 2;
+  }
+
+  const report = await runReconciliation(new Stripe(process.env.STRIPE_SECRET_KEY), range);
+  const output = format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  console.error(
+    `Reconcile ${report.from} → ${report.to}: checked ${JSON.stringify(report.checked)}; ` +
+      `${report.issues.length} issue(s) ${JSON.stringify(report.summary)}` +
+      (report.skipped.length ? `; skipped ${report.skipped.join(', ')}` : '')
+  );
+  return report.issues.length > 0 ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error('Reconcile failed:', err.message);
+    process.exit(2);
+  }
+);